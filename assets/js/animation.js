@@ -0,0 +1,274 @@
+/**
+ * animation.js
+ * Tweens and timelines for widget animation. VisualManager owns one Animator
+ * (visuals.animator); widgets use visuals.animate and visuals.timeline, and every
+ * animation still running is cancelled when the next widget is rendered.
+ *
+ * A tween moves an element's properties from wherever they are when it starts to `to`:
+ *   translate: { x, y }  The `transform` attribute's translate(x, y), as draggables use.
+ *   rotate: degrees      The CSS transform's rotate(), so the element's transform-origin
+ *                        is the pivot (the balance scale's beam).
+ *   anything else        A numeric attribute: cx, r, x1, opacity, ...
+ * A newer tween of the same property on the same element takes over from an older one.
+ *
+ * With reduced motion on (the learner's prefers-reduced-motion setting, or set here),
+ * timelines jump straight to their end states: every step runs at once, in order.
+ */
+
+/**
+ * Easing presets, by name: progress 0..1 in, eased progress out.
+ */
+export const EASINGS = {
+    'linear': (t) => t,
+    'easeIn': (t) => t * t * t,
+    'easeOut': (t) => 1 - Math.pow(1 - t, 3),
+    'easeInOut': (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    // Overshoots a little and settles back, like a scale that swings
+    'backOut': (t) => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2)
+};
+
+const DEFAULT_DURATION = 500;
+const DEFAULT_EASING = 'easeOut';
+
+function getEasing(easing = DEFAULT_EASING) {
+    if (typeof easing === 'function') return easing;
+    if (!EASINGS[easing]) throw new Error(`Unknown easing "${easing}"`);
+    return EASINGS[easing];
+}
+
+/**
+ * How to read and write one tweenable property of an element.
+ */
+function getProperty(el, name) {
+    if (name === 'translate') {
+        return {
+            read: () => {
+                const match = /translate\(\s*([-\d.e]+)[\s,]+([-\d.e]+)/.exec(el.getAttribute('transform') || '');
+                return match ? { x: Number(match[1]), y: Number(match[2]) } : { x: 0, y: 0 };
+            },
+            write: ({ x, y }) => el.setAttribute('transform', `translate(${x}, ${y})`)
+        };
+    }
+    if (name === 'rotate') {
+        return {
+            read: () => {
+                const match = /rotate\(\s*([-\d.e]+)deg/.exec(el.style.transform || '');
+                return match ? Number(match[1]) : 0;
+            },
+            write: (degrees) => {
+                el.style.transform = `rotate(${degrees}deg)`;
+            }
+        };
+    }
+    return {
+        read: () => Number(el.getAttribute(name)) || 0,
+        write: (value) => el.setAttribute(name, value)
+    };
+}
+
+/**
+ * Numbers, or objects of numbers ({ x, y }), from a to b.
+ */
+function interpolate(a, b, t) {
+    if (typeof b === 'number') return a + (b - a) * t;
+    const value = {};
+    for (const key of Object.keys(b)) value[key] = a[key] + (b[key] - a[key]) * t;
+    return value;
+}
+
+/**
+ * Steps laid out on a time line (ms from the start), run by play().
+ */
+export class Timeline {
+    /**
+     * @param {Animator} animator
+     */
+    constructor(animator) {
+        this.animator = animator;
+        this.steps = []; // { start, duration, easing, begin(), update(t) }
+        this.end = 0; // Where the next sequential step starts
+        this.lastStart = 0; // Where the previous step started (for `with`)
+        this.frame = null;
+        this.resolve = null;
+        this.promise = null;
+    }
+
+    /**
+     * Tweens an element after everything added so far.
+     * @param {Element} el
+     * @param {Object} to - { translate?, rotate?, [attribute]: number }
+     * @param {{ duration?: number, easing?: string|Function, delay?: number }} [options]
+     */
+    to(el, to, options = {}) {
+        return this.add(this.end, this.tween(el, to), options);
+    }
+
+    /**
+     * Tweens an element alongside the previous step.
+     */
+    with(el, to, options = {}) {
+        return this.add(this.lastStart, this.tween(el, to), options);
+    }
+
+    /**
+     * Calls onFrame(t), t easing from 0 to 1, for anything that isn't an element property.
+     */
+    run(onFrame, options = {}) {
+        return this.add(this.end, { begin: () => {}, update: onFrame }, options);
+    }
+
+    /**
+     * Calls `callback` once, when the timeline gets there.
+     */
+    call(callback) {
+        return this.add(this.end, { begin: callback, update: () => {} }, { duration: 0 });
+    }
+
+    wait(ms) {
+        this.end += ms;
+        return this;
+    }
+
+    add(at, { begin, update }, { duration = DEFAULT_DURATION, easing, delay = 0 }) {
+        const start = at + delay;
+        this.steps.push({ start, duration, easing: getEasing(easing), begin, update });
+        this.lastStart = start;
+        this.end = Math.max(this.end, start + duration);
+        return this;
+    }
+
+    tween(el, to) {
+        const properties = Object.entries(to).map(([name, value]) => ({ name, to: value, ...getProperty(el, name) }));
+        const owner = {};
+        return {
+            begin: () => {
+                for (const property of properties) {
+                    property.from = property.read();
+                    this.animator.claim(el, property.name, owner);
+                }
+            },
+            update: (t) => {
+                for (const property of properties) {
+                    if (this.animator.owns(el, property.name, owner)) {
+                        property.write(interpolate(property.from, property.to, t));
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Starts the timeline.
+     * @returns {Promise<boolean>} true once every step has run, false if it was cancelled
+     */
+    play() {
+        if (this.promise) return this.promise;
+        this.promise = new Promise(resolve => {
+            this.resolve = resolve;
+        });
+        this.animator.timelines.add(this);
+
+        if (this.animator.reducedMotion) {
+            this.jumpToEnd();
+            return this.promise;
+        }
+
+        let startTime = null; // The first frame's timestamp (frame times can lag performance.now())
+        const loop = (now) => {
+            if (startTime === null) startTime = now;
+            if (this.advance(now - startTime)) this.finish(true);
+            else this.frame = requestAnimationFrame(loop);
+        };
+        this.frame = requestAnimationFrame(loop);
+        return this.promise;
+    }
+
+    /**
+     * Runs every step due by `elapsed`, in the order they were added. Returns true when all are done.
+     */
+    advance(elapsed) {
+        for (const step of this.steps) {
+            if (step.done || elapsed < step.start) continue;
+            if (!step.started) {
+                step.started = true;
+                step.begin();
+                if (!this.resolve) return true; // A call() cancelled the timeline
+            }
+            const progress = step.duration > 0 ? Math.min(1, (elapsed - step.start) / step.duration) : 1;
+            step.update(progress === 1 ? 1 : step.easing(progress));
+            step.done = progress === 1;
+        }
+        return this.steps.every(step => step.done);
+    }
+
+    jumpToEnd() {
+        this.advance(Infinity);
+        this.finish(true);
+    }
+
+    /**
+     * Stops where it is; play()'s promise resolves with false.
+     */
+    cancel() {
+        this.finish(false);
+    }
+
+    finish(completed) {
+        if (!this.resolve) return;
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.animator.timelines.delete(this);
+        this.resolve(completed);
+        this.resolve = null;
+    }
+}
+
+export class Animator {
+    constructor() {
+        this.timelines = new Set(); // Playing
+        this.owners = new WeakMap(); // el -> { [property]: the tween moving it }
+
+        // Follow the learner's system setting, including changes while the app is open
+        const query = typeof matchMedia === 'function' ? matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.setReducedMotion(!!(query && query.matches));
+        if (query && query.addEventListener) {
+            query.addEventListener('change', (evt) => this.setReducedMotion(evt.matches));
+        }
+    }
+
+    /**
+     * Turns reduced motion on or off for every animation from now on. Also marks the
+     * page (html.reduced-motion) so CSS transitions can follow.
+     */
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        document.documentElement.classList.toggle('reduced-motion', reduced);
+        if (reduced) [...this.timelines].forEach(timeline => timeline.jumpToEnd());
+    }
+
+    timeline() {
+        return new Timeline(this);
+    }
+
+    /**
+     * A one-step timeline, played.
+     * @returns {Promise<boolean>} See Timeline.play
+     */
+    tween(el, to, options) {
+        return this.timeline().to(el, to, options).play();
+    }
+
+    cancelAll() {
+        [...this.timelines].forEach(timeline => timeline.cancel());
+    }
+
+    claim(el, name, owner) {
+        if (!this.owners.has(el)) this.owners.set(el, {});
+        this.owners.get(el)[name] = owner;
+    }
+
+    owns(el, name, owner) {
+        const owners = this.owners.get(el);
+        return !!owners && owners[name] === owner;
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * drag.js
+ * Pointer dragging for the widget SVG. VisualManager owns one DragController: it
+ * listens on the SVG while a widget is mounted (render detaches and re-attaches it)
+ * and hands every move to the draggable's strategy (VisualManager.getDragStrategy).
+ *
+ * Pointer Events cover mouse, pen and touch alike. Each pointer drags its own element,
+ * so two fingers can move two things at once, and pointer capture keeps a drag going
+ * when the pointer strays off the element or out of the SVG.
+ *
+ * Besides onDrag(visuals, el, x, y) and onEnd(visuals, el), a strategy may have:
+ *   onStart(visuals, el)   Called when the element is picked up.
+ *   snap                   A step in SVG units (or { x, y } steps) the position snaps to.
+ *   constrain(visuals, el, { x, y })
+ *                          Returns the position to use instead (a slider's track...).
+ *                          Runs after snapping.
+ *   onCancel(visuals, el)  Called instead of onEnd when the browser cancels the pointer.
+ *
+ * Drop zones ({ id, x, y, width, height, el?, label?, onDrop }) are boxes in the SVG's
+ * coordinates, or in `el`'s own coordinates when it is given, so a zone drawn on a
+ * group that rotates (the balance scale's beam) turns with it.
+ */
+
+const IDENTITY = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+/**
+ * 2D affine matrices as { a, b, c, d, e, f }, like SVGMatrix (which they accept).
+ */
+function multiply(m, n) {
+    return {
+        a: m.a * n.a + m.c * n.b,
+        b: m.b * n.a + m.d * n.b,
+        c: m.a * n.c + m.c * n.d,
+        d: m.b * n.c + m.d * n.d,
+        e: m.a * n.e + m.c * n.f + m.e,
+        f: m.b * n.e + m.d * n.f + m.f
+    };
+}
+
+function invert({ a, b, c, d, e, f }) {
+    const det = a * d - b * c;
+    if (det === 0) return IDENTITY;
+    return {
+        a: d / det, b: -b / det, c: -c / det, d: a / det,
+        e: (c * f - d * e) / det, f: (b * e - a * f) / det
+    };
+}
+
+function apply(m, { x, y }) {
+    return { x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f };
+}
+
+export class DragController {
+    /**
+     * @param {import('./visuals.js').VisualManager} visuals
+     */
+    constructor(visuals) {
+        this.visuals = visuals;
+        this.drags = new Map(); // pointerId -> { el, strategy, offset }
+        this.starts = new WeakMap(); // el -> its transform when it was picked up
+        this.listeners = null; // While attached
+    }
+
+    attach() {
+        if (this.listeners) return;
+        this.listeners = {
+            pointerdown: (evt) => this.start(evt),
+            pointermove: (evt) => this.move(evt),
+            pointerup: (evt) => this.end(evt, false),
+            pointercancel: (evt) => this.end(evt, true)
+        };
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.visuals.svg.addEventListener(type, listener);
+        }
+    }
+
+    detach() {
+        if (!this.listeners) return;
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.visuals.svg.removeEventListener(type, listener);
+        }
+        this.listeners = null;
+        this.drags.clear(); // Their elements are on their way out; nothing to finish
+    }
+
+    start(evt) {
+        const visuals = this.visuals;
+        const el = evt.target.closest && evt.target.closest('.draggable');
+        if (!el || !visuals.svg.contains(el) || evt.button > 0) return;
+
+        // The first grab during a scenario just brings the learner's own state back
+        if (visuals.scenario) {
+            visuals.restoreScenario();
+            return;
+        }
+        // Already held by another finger
+        if ([...this.drags.values()].some(drag => drag.el === el)) return;
+
+        evt.preventDefault(); // No text selection while dragging
+        try {
+            el.setPointerCapture(evt.pointerId);
+        } catch (error) {
+            // The pointer is already gone; the drag ends with the next pointerup anyway
+        }
+
+        const pointer = this.toSVGPoint(evt);
+        const position = visuals.getTranslate(el.getAttribute('transform'));
+        const strategy = visuals.getDragStrategy(el);
+        this.remember(el);
+        this.drags.set(evt.pointerId, {
+            el, strategy, offset: { x: pointer.x - position.x, y: pointer.y - position.y }
+        });
+        el.classList.add('dragging');
+        if (strategy.onStart) strategy.onStart(visuals, el);
+    }
+
+    move(evt) {
+        const drag = this.drags.get(evt.pointerId);
+        if (!drag) return;
+        evt.preventDefault();
+
+        const pointer = this.toSVGPoint(evt);
+        const { x, y } = this.adjust(drag, { x: pointer.x - drag.offset.x, y: pointer.y - drag.offset.y });
+        if (drag.strategy.onDrag) drag.strategy.onDrag(this.visuals, drag.el, x, y);
+    }
+
+    end(evt, cancelled) {
+        const drag = this.drags.get(evt.pointerId);
+        if (!drag) return;
+        this.drags.delete(evt.pointerId);
+        drag.el.classList.remove('dragging');
+
+        const finish = cancelled && drag.strategy.onCancel ? drag.strategy.onCancel : drag.strategy.onEnd;
+        if (finish) finish(this.visuals, drag.el);
+    }
+
+    /**
+     * The strategy's snap step, then its constraint.
+     */
+    adjust({ el, strategy }, point) {
+        let { x, y } = point;
+        if (strategy.snap) {
+            const step = typeof strategy.snap === 'number' ? { x: strategy.snap, y: strategy.snap } : strategy.snap;
+            if (step.x) x = Math.round(x / step.x) * step.x;
+            if (step.y) y = Math.round(y / step.y) * step.y;
+        }
+        return strategy.constrain ? strategy.constrain(this.visuals, el, { x, y }) : { x, y };
+    }
+
+    /**
+     * Notes where an element is now, for returnToStart (pointer drags do this themselves).
+     */
+    remember(el) {
+        this.starts.set(el, el.getAttribute('transform'));
+    }
+
+    /**
+     * Puts an element back where it was when it was last picked up.
+     */
+    returnToStart(el) {
+        if (!this.starts.has(el)) return;
+        const transform = this.starts.get(el);
+        if (transform === null) el.removeAttribute('transform');
+        else el.setAttribute('transform', transform);
+    }
+
+    /**
+     * The drop zone under a point in SVG coordinates, if any (the first one registered wins).
+     */
+    findDropZone(point) {
+        return this.visuals.dropZones.find(zone => {
+            const { x, y } = apply(invert(this.zoneMatrix(zone)), point);
+            return x >= zone.x && x <= zone.x + zone.width && y >= zone.y && y <= zone.y + zone.height;
+        }) || null;
+    }
+
+    /**
+     * Where a zone's middle is now, in SVG coordinates.
+     */
+    zoneCenter(zone) {
+        return apply(this.zoneMatrix(zone), { x: zone.x + zone.width / 2, y: zone.y + zone.height / 2 });
+    }
+
+    /**
+     * Maps a zone's own coordinates to the SVG's: what the browser reports for the zone's
+     * element (CSS transforms included), or nothing for plain zones and where there is no layout.
+     */
+    zoneMatrix(zone) {
+        const svgCTM = this.visuals.svg.getScreenCTM ? this.visuals.svg.getScreenCTM() : null;
+        const elCTM = zone.el && zone.el.getScreenCTM ? zone.el.getScreenCTM() : null;
+        if (!svgCTM || !elCTM) return IDENTITY;
+        return multiply(invert(svgCTM), elCTM);
+    }
+
+    toSVGPoint(evt) {
+        const CTM = (this.visuals.svg.getScreenCTM && this.visuals.svg.getScreenCTM()) || IDENTITY;
+        return { x: (evt.clientX - CTM.e) / CTM.a, y: (evt.clientY - CTM.f) / CTM.d };
+    }
+}
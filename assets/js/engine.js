@@ -2,22 +2,80 @@
  * Engine.js
  * Core logic for MathFlow. Manages lesson state, user progress, and communication
  * between the visual layer and the UI.
+ *
+ * The engine never touches VisualManager directly: everything goes through the EventBus.
  */
 
+import { ProgressStore } from './progress.js';
+import { EVENTS } from './events.js';
+import { HashRouter } from './router.js';
+import { instantiateLesson, blankPlaceholders, newSeed, ParamError } from './params.js';
+import { validateCatalog, validateCourse, formatProblem, CourseValidationError } from './schema.js';
+import { renderIcon } from './icons.js';
+import { loadWidgetModules } from './widgets/registry.js';
+import './widgets/index.js';
+import { getQuizType } from './quiz.js';
+import { getStepType, formatValue } from './steps.js';
+import { renderMath, toPlainText, escapeHtml } from './math.js';
+
+const CATALOG_SOURCE = 'data/catalog.json';
+
+// Fresh seeds to try when a lesson's params can't be drawn with the one asked for
+// (a division by zero for one value...), before showing an error instead
+const MAX_REDRAWS = 5;
+
+// A problem seed from the URL; anything else falls back to the learner's current problem
+function parseSeed(text) {
+    return /^\d+$/.test(text) ? Number(text) : undefined;
+}
+
 export class LessonEngine {
-    constructor() {
+    /**
+     * @param {import('./events.js').EventBus} bus
+     */
+    constructor(bus) {
+        this.bus = bus;
         this.currentChapter = 0;
         this.currentLesson = 0;
+        this.catalog = null;
+        this.course = null; // Catalog entry of the open course
         this.courseData = null;
         this.state = {};
+        this.progress = new ProgressStore();
+        this.router = null; // Created once course data is loaded
+
+        this.bindProgress();
+        this.bus.on(EVENTS.WIDGET_MOUNTED, (payload) => this.handleWidgetMounted(payload));
+        this.bus.on(EVENTS.WIDGET_CONFIGURED, (payload) => this.handleWidgetMounted(payload));
+        this.bus.on(EVENTS.WIDGET_GOAL_REACHED, () => this.handleGoalReached());
+        this.bus.on(EVENTS.WIDGET_STATE_CHANGED, ({ state }) => this.handleWidgetState(state));
+    }
+
+    /**
+     * Progress is just another subscriber: it records what the learner does
+     * from the events, the same way analytics would.
+     */
+    bindProgress() {
+        this.bus.on(EVENTS.LESSON_ENTER, ({ chapter, lesson, seed }) => {
+            this.progress.setLastPosition(chapter.id, lesson.id);
+            if (seed !== null) this.progress.setLessonSeed(chapter.id, lesson.id, seed);
+        });
+        this.bus.on(EVENTS.QUIZ_ANSWERED, ({ chapter, lesson, correct }) => {
+            this.progress.recordAttempt(chapter.id, lesson.id, correct);
+        });
+        this.bus.on(EVENTS.LESSON_COMPLETED, ({ chapter, lesson }) => {
+            this.progress.markLessonComplete(chapter.id, lesson.id);
+        });
     }
 
     async init() {
         try {
-            await this.loadCourseData();
+            await this.loadCatalog();
 
             // Wire Global Buttons
-            document.getElementById('btn-start-course').addEventListener('click', () => this.startCourse());
+            document.getElementById('btn-continue-course').addEventListener('click', () => this.continueCourse());
+            document.getElementById('btn-reset-progress').addEventListener('click', () => this.resetProgress());
+            document.getElementById('btn-back-courses').addEventListener('click', () => this.goHome());
             document.getElementById('btn-back-dashboard').addEventListener('click', () => this.backToDashboard());
 
             // Wire Zen Toggle
@@ -33,22 +91,232 @@ export class LessonEngine {
             document.getElementById('prev-btn').addEventListener('click', () => this.prevLesson());
             document.getElementById('next-btn').addEventListener('click', () => this.nextLesson());
 
+            // Delegated listeners for markup rendered from course data
+            document.getElementById('course-list').addEventListener('click', (evt) => {
+                const card = evt.target.closest('[data-course-id]');
+                if (card) this.openCourse(card.dataset.courseId);
+            });
+            document.getElementById('chapter-grid').addEventListener('click', (evt) => {
+                const card = evt.target.closest('[data-chapter-index]');
+                if (card) this.startChapter(Number(card.dataset.chapterIndex));
+            });
+            const lessonStream = document.getElementById('lesson-stream');
+            lessonStream.addEventListener('click', (evt) => {
+                const option = evt.target.closest('[data-option-index]');
+                if (option && !option.disabled) return this.checkAnswer(Number(option.dataset.optionIndex));
+
+                const submit = evt.target.closest('[data-quiz-submit]');
+                if (submit && !submit.disabled) return this.submitQuiz();
+
+                const hintButton = evt.target.closest('[data-hint-next]');
+                if (hintButton && !hintButton.disabled) return this.revealHints(this.state.hintLevel + 1);
+
+                if (evt.target.closest('[data-step-continue]')) return this.completeStep();
+                if (evt.target.closest('[data-new-problem]')) return this.newProblem();
+
+                const container = evt.target.closest('#quiz-container');
+                const quizType = container && getQuizType(this.getCurrentQuiz());
+                if (quizType && quizType.handleClick && !this.state.quizLocked) quizType.handleClick(container, evt.target);
+            });
+            lessonStream.addEventListener('keydown', (evt) => {
+                if (evt.key === 'Enter' && evt.target.matches('.quiz-input')) this.submitQuiz();
+            });
+            // Hovering a bound part of a notation formula points out its part of the widget
+            lessonStream.addEventListener('mouseover', (evt) => {
+                const part = evt.target.closest('[data-part]');
+                if (part && !part.contains(evt.relatedTarget)) {
+                    this.emitHighlight({ target: part.dataset.part, style: 'pulse', duration: Infinity });
+                }
+            });
+            lessonStream.addEventListener('mouseout', (evt) => {
+                const part = evt.target.closest('[data-part]');
+                if (part && !part.contains(evt.relatedTarget)) this.bus.emit(EVENTS.VISUAL_HIGHLIGHT, { target: null });
+            });
+
             // Initial State
-            // If data loaded, we can render dashboard now to have it ready
-            this.renderDashboard();
+            this.renderCoursePicker();
+            this.renderContinuePrompt();
 
-            // Start at Home
-            this.switchView('home');
+            // Show whatever the URL asks for (Home by default)
+            this.router = this.createRouter();
+            await this.router.start();
 
         } catch (error) {
             console.error("Failed to load course data:", error);
+            this.showLoadError(error);
+        }
+    }
+
+    /**
+     * Fetches a JSON data file and runs it through a schema validator.
+     * Warnings are logged; errors throw a CourseValidationError listing all of them.
+     */
+    async loadValidatedJson(source, validate) {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Could not fetch ${source} (HTTP ${response.status})`);
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new Error(`${source} is not valid JSON: ${error.message}`);
         }
+
+        const { valid, errors, warnings } = await validate(data);
+        warnings.forEach(problem => console.warn(`${source}: ${formatProblem(problem)}`));
+        if (!valid) throw new CourseValidationError(source, errors);
+
+        return data;
+    }
+
+    async loadCatalog() {
+        this.catalog = await this.loadValidatedJson(CATALOG_SOURCE, validateCatalog);
     }
 
-    async loadCourseData() {
-        const response = await fetch('data/course_data.json');
-        this.courseData = await response.json();
+    /**
+     * Makes a catalog course the open course, fetching its file if it isn't already loaded.
+     * @returns {Promise<boolean>} false if the id isn't in the catalog
+     */
+    async loadCourse(courseId) {
+        if (this.course && this.course.id === courseId) return true;
+
+        const entry = this.catalog.courses.find(course => course.id === courseId);
+        if (!entry) return false;
+
+        // A course's own widget modules must be registered before its lessons can be checked
+        this.courseData = await this.loadValidatedJson(entry.file, async (data) => {
+            if (Array.isArray(data.widgets)) await loadWidgetModules(data.widgets, document.baseURI);
+            return validateCourse(data);
+        });
+        this.course = entry;
+        this.progress.selectCourse(entry.id);
         console.log("Course loaded:", this.courseData.course_title);
+        return true;
+    }
+
+    /**
+     * Route helper: loads a course, then runs `action`. A course that fails to load
+     * shows the error panel instead of leaving the app half-rendered.
+     */
+    async withCourse(courseId, action) {
+        try {
+            if (!await this.loadCourse(courseId)) return false;
+        } catch (error) {
+            console.error(`Failed to load course "${courseId}":`, error);
+            this.showLoadError(error);
+            return true;
+        }
+        return action();
+    }
+
+    /**
+     * Replaces the endless "Loading..." with an in-app panel explaining what went wrong.
+     * Validation errors are listed one per line so authors can fix them directly.
+     */
+    showLoadError(error) {
+        const panel = document.getElementById('course-error');
+        if (!panel) return;
+
+        panel.querySelector('.error-summary').textContent = error.message;
+
+        const list = panel.querySelector('.error-list');
+        list.innerHTML = '';
+        (error.errors || []).forEach(problem => {
+            const item = document.createElement('li');
+            item.textContent = formatProblem(problem);
+            list.appendChild(item);
+        });
+
+        document.getElementById('btn-error-retry').onclick = () => window.location.reload();
+        document.getElementById('btn-error-home').onclick = () => {
+            panel.classList.add('hidden');
+            this.goHome();
+        };
+        // Without a catalog there is no home to go back to
+        document.getElementById('btn-error-home').classList.toggle('hidden', !this.catalog);
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * URL scheme:
+     *   #/                                                          Home (course picker)
+     *   #/course/:courseId                                          Chapter map of a course
+     *   #/course/:courseId/chapter/:chapterId                       First lesson of a chapter
+     *   #/course/:courseId/chapter/:chapterId/lesson/:lessonId      A specific lesson
+     *   #/course/:courseId/chapter/:chapterId/lesson/:lessonId/problem/:seed
+     *                                                               One problem of a randomized lesson
+     * The pre-catalog URLs (#/dashboard, #/chapter/...) still work and open the first course.
+     * Unknown chapter/lesson ids fall back to the course dashboard; unknown courses to Home.
+     */
+    createRouter() {
+        const defaultCourse = () => this.catalog.courses[0].id;
+        return new HashRouter([
+            { pattern: '/', handler: () => this.goHome() },
+            { pattern: '/course/:courseId', handler: ({ courseId }) => this.withCourse(courseId, () => this.backToDashboard()) },
+            {
+                pattern: '/course/:courseId/chapter/:chapterId',
+                handler: ({ courseId, chapterId }) => this.withCourse(courseId, () => this.openLessonOrDashboard(chapterId))
+            },
+            {
+                pattern: '/course/:courseId/chapter/:chapterId/lesson/:lessonId',
+                handler: ({ courseId, chapterId, lessonId }) =>
+                    this.withCourse(courseId, () => this.openLessonOrDashboard(chapterId, lessonId))
+            },
+            {
+                pattern: '/course/:courseId/chapter/:chapterId/lesson/:lessonId/problem/:seed',
+                handler: ({ courseId, chapterId, lessonId, seed }) =>
+                    this.withCourse(courseId, () => this.openLessonOrDashboard(chapterId, lessonId, parseSeed(seed)))
+            },
+            // Legacy single-course links
+            { pattern: '/dashboard', handler: () => this.withCourse(defaultCourse(), () => this.backToDashboard()) },
+            {
+                pattern: '/chapter/:chapterId',
+                handler: ({ chapterId }) => this.withCourse(defaultCourse(), () => this.openLessonOrDashboard(chapterId))
+            },
+            {
+                pattern: '/chapter/:chapterId/lesson/:lessonId',
+                handler: ({ chapterId, lessonId }) =>
+                    this.withCourse(defaultCourse(), () => this.openLessonOrDashboard(chapterId, lessonId))
+            }
+        ], { fallback: '/' });
+    }
+
+    coursePath() {
+        return `/course/${encodeURIComponent(this.course.id)}`;
+    }
+
+    lessonPath(chapter, lesson, seed = null) {
+        const path = `${this.coursePath()}/chapter/${encodeURIComponent(chapter.id)}/lesson/${encodeURIComponent(lesson.id)}`;
+        return seed === null ? path : `${path}/problem/${seed}`;
+    }
+
+    openLessonOrDashboard(chapterId, lessonId, seed) {
+        if (!this.openLesson(chapterId, lessonId, seed)) {
+            console.warn(`No lesson "${chapterId}/${lessonId || ''}" in ${this.course.id}, showing the dashboard`);
+            this.backToDashboard();
+        }
+    }
+
+    /**
+     * Opens a lesson of the current course by its ids (first lesson if lessonId is omitted).
+     * @param {number} [seed] - The problem to show, if the lesson has `params`
+     * @returns {boolean} false if either id is unknown
+     */
+    openLesson(chapterId, lessonId, seed) {
+        const chapterIndex = this.courseData.chapters.findIndex(ch => ch.id === chapterId);
+        if (chapterIndex === -1) return false;
+
+        const lessons = this.courseData.chapters[chapterIndex].lessons;
+        const lessonIndex = lessonId === undefined ? 0 : lessons.findIndex(l => l.id === lessonId);
+        if (lessonIndex === -1 || !lessons[lessonIndex]) return false;
+
+        this.currentChapter = chapterIndex;
+        this.currentLesson = lessonIndex;
+        this.renderLesson(seed);
+        this.switchView('lesson');
+        return true;
     }
 
     /**
@@ -68,53 +336,135 @@ export class LessonEngine {
         }
 
         this.state.currentView = viewId;
+
+        // Leaving a lesson (e.g. via the back button) shouldn't leave the modal up
+        const modal = document.getElementById('victory-modal');
+        if (modal && modal.classList.contains('visible')) this.hideVictoryModal();
+
+        // Lesson URLs are pushed by renderLesson, which knows the chapter and lesson
+        if (this.router && viewId === 'home') this.router.push('/');
+        if (this.router && viewId === 'dashboard') this.router.push(this.coursePath());
+    }
+
+    /**
+     * Home view: one card per course in the catalog.
+     */
+    renderCoursePicker() {
+        const list = document.getElementById('course-list');
+        if (!list || !this.catalog) return;
+
+        list.innerHTML = this.catalog.courses.map(course => {
+            const completed = this.progress.getCompletedLessonCount(course.id);
+            return `
+            <div class="course-card" data-course-id="${escapeHtml(course.id)}">
+                <div class="card-icon">
+                    ${renderIcon(course.icon)}
+                </div>
+                <div class="card-info">
+                    <h3>${renderMath(course.title)}</h3>
+                    ${course.description ? `<p>${renderMath(course.description)}</p>` : ''}
+                    <span class="course-status">${completed > 0 ? `${completed} lesson${completed === 1 ? '' : 's'} complete` : 'Not started'}</span>
+                </div>
+            </div>
+            `;
+        }).join('');
     }
 
     renderDashboard() {
         const grid = document.getElementById('chapter-grid');
         if (!grid || !this.courseData) return;
 
+        document.getElementById('dashboard-title').innerHTML = renderMath(this.course.title);
+
         grid.innerHTML = this.courseData.chapters.map((chapter, index) => {
-            // Clean Re-design: Topic Tag instead of progress bar
-            // Use ID prefixes to guess topic if not explicit
-            let topic = "Math";
-            if (chapter.id.includes("algebra")) topic = "Algebra";
-            if (chapter.id.includes("functions")) topic = "Functions";
-            if (chapter.id.includes("graph")) topic = "Graphing";
-            if (chapter.id.includes("trig")) topic = "Trigonometry";
-            if (chapter.id.includes("calculus") || chapter.id.includes("integration")) topic = "Calculus";
+            const completion = this.progress.getChapterCompletion(chapter);
+            const isDone = completion.total > 0 && completion.completed === completion.total;
 
             return `
-            <div class="chapter-card" onclick="window.engine.startChapter(${index})">
+            <div class="chapter-card${isDone ? ' completed' : ''}" data-chapter-index="${index}">
                 <div class="card-icon">
-                    ${this.getIconForChapter(chapter.id)}
+                    ${renderIcon(chapter.icon)}
                 </div>
                 <div class="card-info">
-                    <h3>${chapter.title}</h3>
-                    <p>${chapter.lessons.length} Lessons</p>
-                    <span class="topic-tag">${topic}</span>
+                    <h3>${renderMath(chapter.title)}</h3>
+                    <p>${completion.completed} / ${completion.total} Lessons complete</p>
+                </div>
+                ${chapter.topic ? `<span class="topic-tag">${renderMath(chapter.topic)}</span>` : ''}
+                <div class="mini-progress-bar" title="${completion.percent}% complete">
+                    <div style="width: ${completion.percent}%"></div>
                 </div>
             </div>
             `;
         }).join('');
     }
 
-    getIconForChapter(id) {
-        // Simple SVG icons mapping
-        const icons = {
-            'ch1_algebra': `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 21h18M12 3v18M5 10l7-7 7 7"/></svg>`, // Balance/Scale approx
-            'ch2_functions': `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="2" width="20" height="8" rx="2" ry="2" /><rect x="2" y="14" width="20" height="8" rx="2" ry="2" /><line x1="6" y1="6" x2="6" y2="6" /><line x1="6" y1="18" x2="6" y2="18" /></svg>`, // Machine
-            'ch3_graphs': `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 3v18h18" /><path d="M18.7 8l-5.1 5.2-2.8-2.7L7 14.3" /></svg>`, // Graph
-            'ch4_trig': `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10" /><path d="M2 12h20" /><path d="M12 2v20" /><path d="M12 12l7.07-7.07" /></svg>`, // Circle
-            'ch5_calculus': `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 18c0-5 3-9 9-9 5 0 9-4 9-9" /><line x1="10" y1="12" x2="14" y2="6" /></svg>`, // Curve + Tangent
-            'ch6_integration': `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 19V5a1 1 0 0 1 1-1h14a1 1 0 0 1 1 1v14a1 1 0 0 1-1 1H5a1 1 0 0 1-1-1z" /><line x1="4" y1="12" x2="20" y2="12" /></svg>`  // Blocks
-        };
-        return icons[id] || `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/></svg>`;
+    /**
+     * Shows the "Continue where you left off" button on the home view
+     * for the course the learner was in most recently.
+     */
+    renderContinuePrompt() {
+        const btn = document.getElementById('btn-continue-course');
+        if (!btn) return;
+
+        const courseId = this.progress.getLastCourseId();
+        const entry = courseId && this.catalog.courses.find(course => course.id === courseId);
+        if (!entry) {
+            btn.classList.add('hidden');
+            return;
+        }
+
+        // Name the lesson when its course is already loaded, else just the course
+        const position = this.course && this.course.id === entry.id ? this.findSavedPosition() : null;
+        const label = position
+            ? this.courseData.chapters[position.chapterIndex].lessons[position.lessonIndex].title
+            : entry.title;
+        btn.textContent = `Continue: ${toPlainText(label)}`;
+        btn.classList.remove('hidden');
+    }
+
+    /**
+     * Resolves the saved last position (chapter/lesson ids) to indices.
+     * Returns null if nothing is saved or the lesson was removed from the course.
+     */
+    findSavedPosition() {
+        const last = this.progress.getLastPosition();
+        if (!last || !this.courseData) return null;
+
+        const chapterIndex = this.courseData.chapters.findIndex(ch => ch.id === last.chapterId);
+        if (chapterIndex === -1) return null;
+
+        const lessonIndex = this.courseData.chapters[chapterIndex].lessons.findIndex(l => l.id === last.lessonId);
+        if (lessonIndex === -1) return null;
+
+        return { chapterIndex, lessonIndex };
     }
 
     // Navigation Actions
-    startCourse() {
-        this.switchView('dashboard');
+    goHome() {
+        this.renderCoursePicker();
+        this.renderContinuePrompt();
+        this.switchView('home');
+    }
+
+    openCourse(courseId) {
+        return this.withCourse(courseId, () => this.backToDashboard());
+    }
+
+    continueCourse() {
+        const courseId = this.progress.getLastCourseId();
+        if (!courseId) return;
+
+        return this.withCourse(courseId, () => {
+            const position = this.findSavedPosition();
+            if (!position) {
+                this.backToDashboard();
+                return;
+            }
+            this.currentChapter = position.chapterIndex;
+            this.currentLesson = position.lessonIndex;
+            this.renderLesson();
+            this.switchView('lesson');
+        });
     }
 
     startChapter(chapterIndex) {
@@ -125,10 +475,22 @@ export class LessonEngine {
     }
 
     backToDashboard() {
+        // Refresh completion bars with anything learned since the last visit
+        this.renderDashboard();
         this.switchView('dashboard');
     }
 
-    renderLesson() {
+    resetProgress() {
+        if (!confirm(`Reset your progress in "${this.course.title}"? This cannot be undone.`)) return;
+        this.progress.resetCourse(this.course.id);
+        this.renderDashboard();
+    }
+
+    /**
+     * @param {number} [seed] - For a lesson with `params`: the problem to show. Defaults to
+     *   the learner's current one, or a fresh one the first time.
+     */
+    renderLesson(seed) {
         // We might want to scroll to top
         const rightSplit = document.getElementById('content-scroll');
         if (rightSplit) rightSplit.scrollTop = 0;
@@ -136,10 +498,29 @@ export class LessonEngine {
         if (!this.courseData) return;
 
         const chapter = this.courseData.chapters[this.currentChapter];
-        const lesson = chapter.lessons[this.currentLesson];
+        const template = chapter.lessons[this.currentLesson];
+        let lesson = template;
+        let drawError = null;
+        if (!template.params) {
+            seed = null;
+        } else {
+            if (seed === undefined) seed = this.progress.getLessonSeed(chapter.id, template.id);
+            try {
+                ({ lesson, seed } = this.drawLesson(template, seed === null ? newSeed() : seed));
+            } catch (error) {
+                if (!(error instanceof ParamError)) throw error;
+                drawError = error;
+                lesson = null;
+                seed = null;
+            }
+        }
+        this.state.lesson = lesson;
+
+        if (this.router) this.router.push(this.lessonPath(chapter, template, seed));
 
         // Update Header
-        document.querySelector('.course-breadcrumb').textContent = `MathFlow / ${chapter.title} / ${lesson.title}`;
+        const title = lesson ? lesson.title : blankPlaceholders(template.title);
+        document.querySelector('.course-breadcrumb').textContent = [this.course.title, chapter.title, title].map(toPlainText).join(' / ');
 
         // Update Progress (Removed bar, but can keep internal logic or simple text if needed)
         // document.getElementById('lesson-progress').style.width = `${progress}%`;
@@ -151,80 +532,424 @@ export class LessonEngine {
 
         // Render Content
         const contentContainer = document.getElementById('lesson-stream');
-        contentContainer.innerHTML = `
+        if (drawError) {
+            // Nothing to interact with, so the previous lesson's widget comes down too
+            contentContainer.innerHTML = this.renderDrawError(title, drawError);
+            this.state.quizLocked = false;
+            this.state.stepIndex = -1;
+            this.bus.emit(EVENTS.VISUAL_CLEAR);
+            return;
+        }
+        contentContainer.innerHTML = lesson.steps ? `
+            <div class="lesson-intro">
+                <h1>${renderMath(lesson.title)}</h1>
+                ${this.renderNewProblemButton(lesson)}
+                ${lesson.instruction ? `<p class="instruction">${renderMath(lesson.instruction)}</p>` : ''}
+                <div id="step-stream" class="step-stream"></div>
+                ${this.renderHintLadder(lesson)}
+            </div>
+        ` : `
             <div class="lesson-intro">
-                <h1>${lesson.title}</h1>
-                <p class="instruction">${lesson.instruction}</p>
+                <h1>${renderMath(lesson.title)}</h1>
+                ${this.renderNewProblemButton(lesson)}
+                <p class="instruction">${renderMath(lesson.instruction)}</p>
+                ${this.renderHintLadder(lesson)}
                 <div class="interaction-area">
                     <!-- Placeholder for specific controls -->
                     <div id="controls-container"></div>
                 </div>
-                <div class="quiz-container">
-                    <h3>${lesson.quiz.question}</h3>
-                    <div class="quiz-options">
-                        ${lesson.quiz.options.map((opt, idx) => `
-                            <button class="quiz-btn" onclick="window.engine.checkAnswer(${idx})">${opt}</button>
-                        `).join('')}
-                    </div>
+                <div class="quiz-container" id="quiz-container">
+                    <p class="quiz-lock-msg">Complete the interaction on the left to unlock this question.</p>
+                    <h3>${renderMath(lesson.quiz.question)}</h3>
+                    ${getQuizType(lesson.quiz).render(lesson.quiz)}
                     <div id="quiz-feedback" class="feedback-msg"></div>
                 </div>
             </div>
         `;
 
-        // Trigger Visual Update (Event or direct call)
-        this.updateVisuals(lesson);
+        // Announce the lesson. VisualManager renders the widget in response and
+        // replies with widget:mounted, which decides whether the quiz starts locked.
+        this.state.goalReached = false;
+        this.state.quizLocked = false;
+        this.state.hintLevel = 0;
+        this.state.wrongAttempts = 0;
+        this.state.stepIndex = -1;
+        this.state.widgetState = {};
+        this.bus.emit(EVENTS.LESSON_ENTER, {
+            chapter,
+            lesson,
+            chapterIndex: this.currentChapter,
+            lessonIndex: this.currentLesson,
+            seed
+        });
+
+        if (lesson.steps) this.enterStep(0);
+    }
+
+    /**
+     * Draws a lesson with `params`, trying fresh seeds if `seed` gives values the
+     * template can't use (validation only tries a sample of seeds).
+     * @returns {{ lesson: object, seed: number }}
+     * @throws {ParamError} if MAX_REDRAWS fresh seeds fail as well
+     */
+    drawLesson(template, seed) {
+        for (let redraws = 0; ; redraws++) {
+            try {
+                return { lesson: instantiateLesson(template, seed), seed };
+            } catch (error) {
+                if (!(error instanceof ParamError) || redraws === MAX_REDRAWS) throw error;
+                console.warn(`Lesson "${template.id}" can't be drawn with seed ${seed} (${formatProblem(error)}), trying another`);
+                seed = newSeed();
+            }
+        }
+    }
+
+    /**
+     * Stands in for the lesson when its params can't be drawn at all.
+     */
+    renderDrawError(title, error) {
+        const problem = document.createElement('li');
+        problem.textContent = formatProblem(error);
+        return `
+            <div class="lesson-intro">
+                <h1>${renderMath(title)}</h1>
+                <div class="error-content" role="alert">
+                    <h2>This problem couldn't be set up</h2>
+                    <ul class="error-list">${problem.outerHTML}</ul>
+                    <p class="error-help">Course authors: run <code>node scripts/validate-course.mjs</code> to check a course file before publishing.</p>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Lessons with `params` draw their numbers afresh on request, so the learner can
+     * practise the same idea again without replaying the answer they remember.
+     */
+    renderNewProblemButton(lesson) {
+        if (!lesson.params) return '';
+        return `<button class="new-problem-btn" data-new-problem>New problem</button>`;
+    }
+
+    newProblem() {
+        this.renderLesson(newSeed());
+    }
+
+    /**
+     * Appends step `index` of a multi-step lesson to the stream and hands its `config`
+     * to the widget. Steps waiting for a goal that is already met finish at once.
+     */
+    enterStep(index) {
+        const chapter = this.courseData.chapters[this.currentChapter];
+        const lesson = this.getCurrentLesson();
+        const step = lesson.steps[index];
+        const stream = document.getElementById('step-stream');
+        if (!step || !stream) return;
+
+        const stepType = getStepType(step);
+        this.state.stepIndex = index;
+        this.state.stepDone = false;
+        stream.insertAdjacentHTML('beforeend', `
+            <section class="lesson-step step-${step.type}" data-step-index="${index}">
+                ${stepType.render(step, this.state.widgetState)}
+            </section>`);
+        const card = stream.lastElementChild;
+
+        this.bus.emit(EVENTS.STEP_ENTER, { chapter, lesson, step, stepIndex: index });
+        if (step.config) this.bus.emit(EVENTS.VISUAL_CONFIGURE, { config: step.config });
+        // The new config may have met the goal already, and moved us on
+        if (this.state.stepIndex !== index || this.state.stepDone) return;
+
+        if (stepType.completesOn === 'goal' && this.state.goalReached) {
+            this.completeStep();
+            return;
+        }
+        if (stepType.completesOn === 'continue' || (stepType.completesOn === 'goal' && !this.state.widgetHasGoal)) {
+            card.insertAdjacentHTML('beforeend', `
+                <button class="step-continue" data-step-continue>${renderMath(step.button || "Continue")}</button>`);
+        }
+        if (index > 0) card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Finishes the current step: its card stays in the stream, done, and the next
+     * step (or the end of the lesson) follows.
+     */
+    completeStep() {
+        const lesson = this.getCurrentLesson();
+        if (!lesson.steps || this.state.stepDone) return;
+        this.state.stepDone = true;
+
+        const card = document.querySelector(`[data-step-index="${this.state.stepIndex}"]`);
+        if (card) {
+            card.classList.add('done');
+            card.querySelectorAll('[data-step-continue]').forEach(button => button.remove());
+            card.querySelectorAll('.quiz-container button, .quiz-container input').forEach(control => {
+                control.disabled = true;
+            });
+            // The next quiz step's card takes over these ids
+            card.querySelectorAll('#quiz-container, #quiz-feedback').forEach(el => el.removeAttribute('id'));
+        }
+
+        if (this.state.stepIndex < lesson.steps.length - 1) {
+            this.enterStep(this.state.stepIndex + 1);
+        } else {
+            this.completeLesson();
+        }
+    }
+
+    /**
+     * The lesson is done (its quiz answered, or its last step finished): record it and
+     * point the learner at Next.
+     */
+    completeLesson() {
+        const chapter = this.courseData.chapters[this.currentChapter];
+        this.bus.emit(EVENTS.LESSON_COMPLETED, { chapter, lesson: this.getCurrentLesson() });
+
+        // UI Polish: Pulse Next Button
+        const nextBtn = document.getElementById('next-btn');
+        if (nextBtn) {
+            nextBtn.classList.add('pulse');
+            nextBtn.disabled = false;
+        }
+    }
+
+    /**
+     * The lesson's hint ladder (`hints`, gentlest first): revealed one rung at a time
+     * by the Hint button, or by repeated wrong answers.
+     */
+    renderHintLadder(lesson) {
+        if (!lesson.hints) return '';
+        return `
+            <div class="hint-ladder">
+                <div id="hint-list" class="hint-list"></div>
+                <button class="hint-btn" data-hint-next>Show a hint</button>
+            </div>`;
+    }
+
+    /**
+     * Shows the ladder's rungs up to `level` (1-based) and points out whatever the
+     * newest one highlights or acts out.
+     */
+    revealHints(level) {
+        const chapter = this.courseData.chapters[this.currentChapter];
+        const lesson = this.getCurrentLesson();
+        const hints = lesson.hints || [];
+        const list = document.getElementById('hint-list');
+        level = Math.min(level, hints.length);
+        if (!list || level <= this.state.hintLevel) return;
+
+        for (let i = this.state.hintLevel; i < level; i++) {
+            const hint = hints[i];
+            const text = typeof hint === 'object' ? hint.text : hint;
+            list.insertAdjacentHTML('beforeend', `
+                <p class="hint-step"><span class="hint-label">Hint ${i + 1} of ${hints.length}</span> ${renderMath(text)}</p>`);
+        }
+        this.state.hintLevel = level;
+
+        const newest = hints[level - 1];
+        this.showHintVisuals(lesson, newest);
+        if (level === hints.length) {
+            const button = document.querySelector('[data-hint-next]');
+            if (button) {
+                button.disabled = true;
+                button.textContent = "No more hints";
+            }
+        }
+        this.bus.emit(EVENTS.HINT_SHOWN, { chapter, lesson, level, hint: newest });
+    }
+
+    /**
+     * Sends a hint's highlight and scenario (if any) to the widget.
+     */
+    showHintVisuals(lesson, hint) {
+        if (typeof hint !== 'object' || hint === null) return;
+        if (hint.highlight) this.emitHighlight(hint.highlight);
+        if (hint.scenario !== undefined) {
+            this.bus.emit(EVENTS.VISUAL_SCENARIO, { visualType: lesson.visualType, value: hint.scenario });
+        }
+    }
+
+    /**
+     * @param {string|object} highlight - A widget's target name, or { target, style, text, duration }
+     */
+    emitHighlight(highlight) {
+        this.bus.emit(EVENTS.VISUAL_HIGHLIGHT, typeof highlight === 'string' ? { target: highlight } : highlight);
+    }
+
+    /**
+     * Intuition first: keep the quiz locked until the learner has done the manipulation.
+     * Lessons already completed once stay open so replays aren't a chore.
+     */
+    handleWidgetMounted({ hasGoal }) {
+        const chapter = this.courseData.chapters[this.currentChapter];
+        const lesson = this.getCurrentLesson();
+        this.state.widgetHasGoal = hasGoal;
+
+        // Multi-step lessons gate on steps instead; a remounted or reconfigured widget's goal starts over
+        if (lesson.steps) {
+            this.state.goalReached = false;
+            return;
+        }
+
+        const needsGoal = hasGoal && !this.state.goalReached;
+        this.setQuizLocked(needsGoal && !this.progress.isLessonComplete(chapter.id, lesson.id));
+    }
+
+    /**
+     * Locks or unlocks the quiz for the current lesson.
+     * @param {boolean} locked
+     */
+    setQuizLocked(locked) {
+        const container = document.getElementById('quiz-container');
+        if (!container) return;
+
+        container.classList.toggle('locked', locked);
+        container.querySelectorAll('button, input').forEach(control => {
+            control.disabled = locked;
+        });
+        this.state.quizLocked = locked;
     }
 
-    updateVisuals(lesson) {
-        // This will interface with visuals.js
-        console.log("Updating visuals for:", lesson.visualType, lesson.interactionConfig);
-        if (window.visuals && window.visuals.render) {
-            window.visuals.render(lesson.visualType, lesson.interactionConfig);
+    /**
+     * Runs on widget:goalReached, once the widget's interaction goal is met.
+     */
+    handleGoalReached() {
+        this.state.goalReached = true;
+
+        const lesson = this.getCurrentLesson();
+        if (lesson.steps) {
+            const step = lesson.steps[this.state.stepIndex];
+            if (step && getStepType(step).completesOn === 'goal') this.completeStep();
+            return;
         }
+
+        if (!this.state.quizLocked) return;
+
+        this.setQuizLocked(false);
+        const container = document.getElementById('quiz-container');
+        if (container) {
+            container.classList.add('unlocked');
+            container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    /**
+     * Keeps the live values in notation formulas in step with the widget.
+     */
+    handleWidgetState(state) {
+        this.state.widgetState = state;
+        document.querySelectorAll('#lesson-stream .notation-formula').forEach(formula => {
+            const digits = Number(formula.dataset.digits);
+            formula.querySelectorAll('[data-value]').forEach(el => {
+                const value = state[el.dataset.value];
+                if (value !== undefined) el.textContent = formatValue(value, digits);
+            });
+        });
+    }
+
+    /**
+     * The lesson on screen, as drawn for this attempt if it has `params`.
+     */
+    getCurrentLesson() {
+        return this.state.lesson;
+    }
+
+    /**
+     * The quiz being answered: the lesson's, or the current step's in a multi-step lesson.
+     */
+    getCurrentQuiz() {
+        const lesson = this.getCurrentLesson();
+        if (!lesson.steps) return lesson.quiz;
+        const step = lesson.steps[this.state.stepIndex];
+        return step && step.quiz;
+    }
+
+    /**
+     * Reads the answer from quiz types that grade on "Check" rather than on click.
+     */
+    submitQuiz() {
+        const container = document.getElementById('quiz-container');
+        const quizType = container && getQuizType(this.getCurrentQuiz());
+        if (!quizType || this.state.quizLocked || !quizType.readAnswer) return;
+        this.checkAnswer(quizType.readAnswer(container));
     }
 
-    checkAnswer(optionIndex) {
-        const lesson = this.courseData.chapters[this.currentChapter].lessons[this.currentLesson];
+    /**
+     * Grades an answer with the lesson's quiz type and shows the feedback.
+     * @param {*} answer - An option index for single choice; whatever the type's readAnswer returns otherwise.
+     */
+    checkAnswer(answer) {
+        const chapter = this.courseData.chapters[this.currentChapter];
+        const lesson = this.getCurrentLesson();
+        const quiz = this.getCurrentQuiz();
+        if (!quiz) return;
+        const quizType = getQuizType(quiz);
+        const result = quizType.grade(quiz, answer);
         const feedbackEl = document.getElementById('quiz-feedback');
 
-        let hint = lesson.quiz.failureHints[optionIndex];
+        const hint = result.hint;
         let hintText = "";
 
         // Handle object-based hints (Phase 4)
         if (typeof hint === 'object' && hint !== null) {
             hintText = hint.text;
-            if (hint.highlight && window.visuals && window.visuals.highlightElement) {
-                window.visuals.highlightElement(hint.highlight);
-            }
+            if (hint.highlight) this.emitHighlight(hint.highlight);
         } else {
-            hintText = hint || "Incorrect, try again.";
+            hintText = hint;
         }
 
-        if (optionIndex === lesson.quiz.correctIndex) {
-            feedbackEl.textContent = hintText || "Correct!";
-            feedbackEl.className = "feedback-msg correct";
+        // Unreadable input (an empty box, "2x+") isn't an attempt; just explain the format.
+        if (result.invalid) {
+            feedbackEl.innerHTML = renderMath(hintText);
+            feedbackEl.className = "feedback-msg incorrect";
+            return;
+        }
 
-            // UI Polish: Flash the button
-            const btns = document.querySelectorAll('.quiz-btn');
-            if (btns[optionIndex]) btns[optionIndex].classList.add('correct-flash');
+        this.bus.emit(EVENTS.QUIZ_ANSWERED, {
+            chapter,
+            lesson,
+            answer,
+            optionIndex: typeof answer === 'number' ? answer : undefined,
+            answerText: result.answerText,
+            correct: result.correct
+        });
+
+        if (result.correct) {
+            feedbackEl.innerHTML = renderMath(hintText);
+            feedbackEl.className = "feedback-msg correct";
 
-            // UI Polish: Pulse Next Button
-            const nextBtn = document.getElementById('next-btn');
-            if (nextBtn) {
-                nextBtn.classList.add('pulse');
-                nextBtn.disabled = false;
+            // UI Polish: Flash the chosen button (or the whole answer area)
+            const container = document.getElementById('quiz-container');
+            if (quizType.markCorrect) {
+                quizType.markCorrect(container, answer);
+            } else {
+                const answerEl = container.querySelector('.quiz-answer');
+                if (answerEl) answerEl.classList.add('correct-flash');
             }
 
+            // A wrong answer may have left a scenario on the canvas
+            this.bus.emit(EVENTS.VISUAL_RESTORE);
 
+            if (lesson.steps) {
+                this.completeStep();
+            } else {
+                this.completeLesson();
+            }
         } else {
-            feedbackEl.textContent = hintText;
+            feedbackEl.innerHTML = renderMath(hintText);
             feedbackEl.className = "feedback-msg incorrect";
 
-            // Reactive Feedback (Scale Tipping / Visual Scenarios)
-            const wrongAnswerText = lesson.quiz.options[optionIndex];
-            if (window.visuals && window.visuals.showScenario) {
-                window.visuals.showScenario(lesson.visualType, wrongAnswerText);
+            // Reactive Feedback: the hint's own scenario, or else the raw wrong answer (scale tipping)
+            const scenario = hint && typeof hint === 'object' && hint.scenario !== undefined
+                ? hint.scenario
+                : result.scenarioValue;
+            if (scenario !== undefined) {
+                this.bus.emit(EVENTS.VISUAL_SCENARIO, { visualType: lesson.visualType, value: scenario });
             }
+
+            // Still stuck after the answer's own hint? Climb the lesson's hint ladder.
+            this.state.wrongAttempts++;
+            if (this.state.wrongAttempts > 1) this.revealHints(this.state.wrongAttempts - 1);
         }
     }
 
@@ -235,12 +960,17 @@ export class LessonEngine {
             this.renderLesson();
         } else {
             // End of chapter - Show Victory Modal
+            this.bus.emit(EVENTS.CHAPTER_COMPLETED, { chapter, chapterIndex: this.currentChapter });
             this.showVictoryModal();
         }
     }
 
     showVictoryModal() {
         const modal = document.getElementById('victory-modal');
+        const chapter = this.courseData.chapters[this.currentChapter];
+        const message = document.getElementById('victory-message');
+        if (message) message.innerHTML = renderMath(chapter.summary || "You've completed this stepping stone.");
+
         if (modal) {
             modal.classList.remove('hidden');
             // Small tick for fade in
@@ -280,5 +1010,3 @@ export class LessonEngine {
     }
 }
 
-// Expose instance for global access (for now, to keep it simple for inline onclicks)
-window.engine = new LessonEngine();
@@ -0,0 +1,130 @@
+/**
+ * events.js
+ * A small publish/subscribe bus. LessonEngine and VisualManager only talk through it,
+ * which lets analytics, persistence and custom widgets listen in without patching either.
+ *
+ * Event names are checked against a registry so a typo fails loudly instead of
+ * silently never firing. Extensions add their own names with `bus.register()`.
+ */
+
+/**
+ * Built-in event names.
+ *
+ * For a lesson with `params`, `lesson` is this attempt's draw and `seed` reproduces it (null otherwise).
+ * @typedef {{ chapter: object, lesson: object, chapterIndex: number, lessonIndex: number, seed: number|null }} LessonEnterPayload
+ * @typedef {{ visualType: string, hasGoal: boolean }} WidgetMountedPayload
+ * @typedef {{ visualType: string, state: object }} WidgetStatePayload
+ * `answer` is whatever the quiz type graded (see quiz.js); `optionIndex` is only set for single choice.
+ * @typedef {{ chapter: object, lesson: object, answer: *, optionIndex?: number, answerText: string, correct: boolean }} QuizAnsweredPayload
+ * @typedef {{ chapter: object, chapterIndex: number }} ChapterCompletedPayload
+ * @typedef {{ chapter: object, lesson: object }} LessonCompletedPayload
+ * `step` is an entry of the lesson's `steps`; `stepIndex` counts from 0.
+ * @typedef {{ chapter: object, lesson: object, step: object, stepIndex: number }} StepEnterPayload
+ * `level` counts from 1 up the lesson's hint ladder.
+ * @typedef {{ chapter: object, lesson: object, level: number, hint: string|object }} HintShownPayload
+ * `style` is "flash" (default), "pulse", "dim" or "callout"; `text` labels a callout.
+ * `target: null` clears the current highlight (e.g. one held with `duration: Infinity`).
+ * @typedef {{ target: string|null, style?: string, text?: string, duration?: number }} HighlightPayload
+ * `value` is a hint's declarative `scenario` object, or else the learner's wrong answer.
+ * @typedef {{ visualType: string, value: any }} ScenarioPayload
+ * `config` holds only the keys that change; the rest of the widget's config stays.
+ * @typedef {{ config: object }} ConfigurePayload
+ */
+export const EVENTS = Object.freeze({
+    LESSON_ENTER: 'lesson:enter',                  // LessonEnterPayload
+    WIDGET_MOUNTED: 'widget:mounted',              // WidgetMountedPayload
+    WIDGET_CONFIGURED: 'widget:configured',        // WidgetMountedPayload, after a config change applied in place
+    WIDGET_STATE_CHANGED: 'widget:stateChanged',   // WidgetStatePayload
+    WIDGET_GOAL_REACHED: 'widget:goalReached',     // WidgetStatePayload
+    STEP_ENTER: 'step:enter',                      // StepEnterPayload
+    QUIZ_ANSWERED: 'quiz:answered',                // QuizAnsweredPayload
+    HINT_SHOWN: 'hint:shown',                      // HintShownPayload
+    LESSON_COMPLETED: 'lesson:completed',          // LessonCompletedPayload
+    CHAPTER_COMPLETED: 'chapter:completed',        // ChapterCompletedPayload
+    VISUAL_HIGHLIGHT: 'visual:highlight',          // HighlightPayload
+    VISUAL_SCENARIO: 'visual:scenario',            // ScenarioPayload
+    VISUAL_RESTORE: 'visual:restore',              // (no payload) undo a scenario, back to the learner's state
+    VISUAL_CONFIGURE: 'visual:configure',          // ConfigurePayload
+    VISUAL_CLEAR: 'visual:clear'                   // (no payload) take the widget down, e.g. for a lesson that can't be shown
+});
+
+export class EventBus {
+    constructor() {
+        this.handlers = new Map(); // event name -> Set of handlers
+        this.anyHandlers = new Set();
+        this.known = new Set(Object.values(EVENTS));
+    }
+
+    /**
+     * Declares an extra event name (e.g. 'mywidget:launched') for plugins.
+     */
+    register(eventName) {
+        this.known.add(eventName);
+    }
+
+    assertKnown(eventName) {
+        if (!this.known.has(eventName)) {
+            throw new TypeError(`Unknown event "${eventName}". Register it with bus.register() first.`);
+        }
+    }
+
+    /**
+     * Subscribes to an event.
+     * @returns {Function} Call it to unsubscribe.
+     */
+    on(eventName, handler) {
+        this.assertKnown(eventName);
+        if (!this.handlers.has(eventName)) this.handlers.set(eventName, new Set());
+        this.handlers.get(eventName).add(handler);
+        return () => this.off(eventName, handler);
+    }
+
+    once(eventName, handler) {
+        const off = this.on(eventName, (payload) => {
+            off();
+            handler(payload);
+        });
+        return off;
+    }
+
+    off(eventName, handler) {
+        const set = this.handlers.get(eventName);
+        if (set) set.delete(handler);
+    }
+
+    /**
+     * Subscribes to every event. Handy for analytics and debugging.
+     * @param {(eventName: string, payload: any) => void} handler
+     */
+    onAny(handler) {
+        this.anyHandlers.add(handler);
+        return () => this.anyHandlers.delete(handler);
+    }
+
+    /**
+     * Delivers an event synchronously, in subscription order.
+     * onAny listeners run first, so a log sees an event before anything it triggers.
+     * A throwing subscriber is logged and skipped so it can't break the lesson.
+     */
+    emit(eventName, payload) {
+        this.assertKnown(eventName);
+
+        // Copy so handlers can unsubscribe while we iterate
+        for (const handler of [...this.anyHandlers]) {
+            try {
+                handler(eventName, payload);
+            } catch (error) {
+                console.error(`Error in event listener for "${eventName}":`, error);
+            }
+        }
+
+        const handlers = [...(this.handlers.get(eventName) || [])];
+        for (const handler of handlers) {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in "${eventName}" handler:`, error);
+            }
+        }
+    }
+}
@@ -0,0 +1,451 @@
+/**
+ * expression.js
+ * Safe math expression parsing and evaluation (no eval / new Function), plus the
+ * numeric calculus the widgets need (derivative, integrate).
+ *
+ * Grammar (loosest binding first):
+ *   sum      := product (('+' | '-') product)*
+ *   product  := unary (('*' | '/' | implicit) unary)*     "2x", "3(x+1)", "x y"
+ *   unary    := ('-' | '+') unary | power
+ *   power    := call ('^' unary)?                          right-associative: 2^3^2 = 2^9
+ *   call     := name '(' args ')' | atom
+ *   atom     := number | name | '(' sum ')' | '|' sum '|'
+ *
+ * Like the rest of the app it is DOM-free, so schema.js can use it from Node too.
+ */
+
+export class ExpressionError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} (at character ${position + 1})`);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+export const FUNCTIONS = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    ln: Math.log,
+    log: Math.log10,
+    exp: Math.exp,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round,
+    min: Math.min,
+    max: Math.max
+};
+
+export const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+// Name lookups go through this, so "valueOf" or "constructor" (inherited from Object)
+// count as unknown names rather than as functions, constants or variables
+function isOwn(table, name) {
+    return Object.prototype.hasOwnProperty.call(table, name);
+}
+
+// Typographic operators learners paste in from worksheets
+const ALIASES = { '×': '*', '·': '*', '÷': '/', '−': '-', '**': '^', 'π': 'pi' };
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        const alias = source.startsWith('**', i) ? '**' : (ALIASES[ch] ? ch : null);
+        if (alias) {
+            const value = ALIASES[alias];
+            tokens.push(/^[a-z]/.test(value) ? { type: 'name', value, pos: i } : { type: 'op', value, pos: i });
+            i += alias.length;
+            continue;
+        }
+
+        if (/[0-9.]/.test(ch)) {
+            const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+            if (!match) throw new ExpressionError(`Unexpected "${ch}"`, i);
+            tokens.push({ type: 'num', value: parseFloat(match[0]), pos: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if (/[A-Za-z_]/.test(ch)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+            tokens.push({ type: 'name', value: match[0], pos: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if ('+-*/^(),|'.includes(ch)) {
+            tokens.push({ type: 'op', value: ch, pos: i });
+            i++;
+            continue;
+        }
+
+        throw new ExpressionError(`Unexpected "${ch}"`, i);
+    }
+
+    tokens.push({ type: 'end', pos: source.length });
+    return tokens;
+}
+
+class Parser {
+    constructor(source, options) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.index = 0;
+        this.variables = options.variables || null;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOp(value) {
+        const token = this.peek();
+        return token.type === 'op' && token.value === value;
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token.type !== 'op' || token.value !== value) {
+            throw new ExpressionError(`Expected "${value}"`, token.pos);
+        }
+    }
+
+    parse() {
+        if (this.peek().type === 'end') throw new ExpressionError('Expression is empty');
+        const node = this.parseSum();
+        const token = this.peek();
+        if (token.type !== 'end') throw new ExpressionError(`Unexpected "${this.source.slice(token.pos, token.pos + 1)}"`, token.pos);
+        return node;
+    }
+
+    parseSum() {
+        let node = this.parseProduct();
+        while (this.isOp('+') || this.isOp('-')) {
+            const op = this.next().value;
+            node = { type: 'binary', op, left: node, right: this.parseProduct() };
+        }
+        return node;
+    }
+
+    /**
+     * Implicit multiplication applies when the next token can start a factor:
+     * a number, a name or an opening parenthesis ("2x", "2(x+1)", "(x+1)(x-1)").
+     */
+    startsFactor() {
+        const token = this.peek();
+        return token.type === 'num' || token.type === 'name' || (token.type === 'op' && token.value === '(');
+    }
+
+    parseProduct() {
+        let node = this.parseUnary();
+        while (true) {
+            if (this.isOp('*') || this.isOp('/')) {
+                const op = this.next().value;
+                node = { type: 'binary', op, left: node, right: this.parseUnary() };
+            } else if (this.startsFactor()) {
+                node = { type: 'binary', op: '*', left: node, right: this.parsePower() };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    parseUnary() {
+        if (this.isOp('-') || this.isOp('+')) {
+            const op = this.next().value;
+            const arg = this.parseUnary();
+            return op === '-' ? { type: 'unary', op, arg } : arg;
+        }
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parseCall();
+        if (this.isOp('^')) {
+            this.next();
+            return { type: 'binary', op: '^', left: base, right: this.parseUnary() };
+        }
+        return base;
+    }
+
+    parseCall() {
+        const token = this.peek();
+        if (token.type === 'name' && isOwn(FUNCTIONS, token.value) && this.tokens[this.index + 1].value === '(') {
+            this.next();
+            this.next(); // '('
+            const args = [this.parseSum()];
+            while (this.isOp(',')) {
+                this.next();
+                args.push(this.parseSum());
+            }
+            this.expect(')');
+            return { type: 'call', name: token.value, args };
+        }
+        return this.parseAtom();
+    }
+
+    parseAtom() {
+        const token = this.next();
+
+        if (token.type === 'num') return { type: 'num', value: token.value };
+
+        if (token.type === 'name') return this.nameNode(token);
+
+        if (token.type === 'op' && token.value === '(') {
+            const node = this.parseSum();
+            this.expect(')');
+            return node;
+        }
+
+        if (token.type === 'op' && token.value === '|') {
+            const node = this.parseSum();
+            this.expect('|');
+            return { type: 'call', name: 'abs', args: [node] };
+        }
+
+        if (token.type === 'end') throw new ExpressionError('Expression ends too early', token.pos);
+        throw new ExpressionError(`Unexpected "${token.value}"`, token.pos);
+    }
+
+    /**
+     * Names are constants or variables. When the caller lists its variables, an unknown
+     * run of letters is read as a product of them, so "2xy" means 2·x·y.
+     */
+    nameNode(token) {
+        const name = token.value;
+        if (isOwn(FUNCTIONS, name)) throw new ExpressionError(`"${name}" needs parentheses, like ${name}(x)`, token.pos);
+        if (isOwn(CONSTANTS, name) && !(this.variables && this.variables.includes(name))) {
+            return { type: 'const', name };
+        }
+        if (!this.variables || this.variables.includes(name)) return { type: 'var', name };
+
+        const parts = this.splitName(name);
+        if (!parts) throw new ExpressionError(`Unknown variable "${name}"`, token.pos);
+        return parts
+            .map(part => (isOwn(CONSTANTS, part) && !this.variables.includes(part)
+                ? { type: 'const', name: part }
+                : { type: 'var', name: part }))
+            .reduce((left, right) => ({ type: 'binary', op: '*', left, right }));
+    }
+
+    splitName(name) {
+        if (name === '') return [];
+        const known = [...this.variables, ...Object.keys(CONSTANTS)].sort((a, b) => b.length - a.length);
+        for (const candidate of known) {
+            if (name.startsWith(candidate)) {
+                const rest = this.splitName(name.slice(candidate.length));
+                if (rest) return [candidate, ...rest];
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * Parses an expression into an AST.
+ * @param {string} source - e.g. "2x^2 + 3", "sin(x)/x"
+ * @param {{ variables?: string[] }} [options] - Known variable names. When given,
+ *   other names are rejected (or split into known ones: "xy" -> x·y).
+ * @throws {ExpressionError}
+ */
+export function parse(source, options = {}) {
+    if (typeof source !== 'string') throw new ExpressionError('Expression must be text');
+    return new Parser(source, options).parse();
+}
+
+/**
+ * Evaluates an AST (or source string) with the given variable values.
+ * @param {object|string} node
+ * @param {Object<string, number>} [scope]
+ * @throws {ExpressionError} for unknown variables
+ */
+export function evaluate(node, scope = {}) {
+    if (typeof node === 'string') node = parse(node);
+
+    switch (node.type) {
+        case 'num':
+            return node.value;
+        case 'const':
+            return CONSTANTS[node.name];
+        case 'var':
+            if (!isOwn(scope, node.name)) throw new ExpressionError(`No value for "${node.name}"`);
+            return scope[node.name];
+        case 'unary':
+            return -evaluate(node.arg, scope);
+        case 'call':
+            return FUNCTIONS[node.name](...node.args.map(arg => evaluate(arg, scope)));
+        case 'binary': {
+            const a = evaluate(node.left, scope);
+            const b = evaluate(node.right, scope);
+            switch (node.op) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                case '/': return a / b;
+                case '^': return Math.pow(a, b);
+            }
+        }
+    }
+    throw new ExpressionError(`Unknown node type "${node.type}"`);
+}
+
+/**
+ * Names of the variables an AST uses, in order of first appearance.
+ */
+export function variablesOf(node, found = []) {
+    if (node.type === 'var' && !found.includes(node.name)) found.push(node.name);
+    if (node.arg) variablesOf(node.arg, found);
+    if (node.left) variablesOf(node.left, found);
+    if (node.right) variablesOf(node.right, found);
+    if (node.args) node.args.forEach(arg => variablesOf(arg, found));
+    return found;
+}
+
+/**
+ * Checks two expressions for algebraic equivalence by evaluating both at
+ * sample points ("2x" and "x*2" pass; "x+2" and "2x" don't). Points where either
+ * side is undefined (division by zero, sqrt of a negative) are skipped.
+ * @param {string|object} a
+ * @param {string|object} b
+ * @param {{ variables?: string[], samples?: number, tolerance?: number }} [options]
+ */
+export function areEquivalent(a, b, options = {}) {
+    const left = typeof a === 'string' ? parse(a, options) : a;
+    const right = typeof b === 'string' ? parse(b, options) : b;
+    const names = variablesOf(right, variablesOf(left));
+    const samples = options.samples || 12;
+    const tolerance = options.tolerance ?? 1e-7;
+
+    // Fixed pseudo-random points so grading is repeatable
+    let seed = 12345;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    let compared = 0;
+    for (let i = 0; i < samples * 3 && compared < samples; i++) {
+        const scope = {};
+        names.forEach(name => {
+            scope[name] = random() * 10 - 5;
+        });
+
+        const x = evaluate(left, scope);
+        const y = evaluate(right, scope);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+
+        compared++;
+        if (Math.abs(x - y) > tolerance * Math.max(1, Math.abs(x), Math.abs(y))) return false;
+    }
+
+    return compared > 0;
+}
+
+/**
+ * Named curves course files may use instead of a formula (e.g. "function": "parabola").
+ */
+export const FUNCTION_PRESETS = {
+    parabola: 'x^2',
+    line: 'x',
+    cubic: 'x^3',
+    sine: 'sin(x)',
+    cosine: 'cos(x)'
+};
+
+/**
+ * Compiles an expression once into a function of a scope object.
+ * @param {string} source
+ * @param {{ variables?: string[] }} [options]
+ * @returns {(scope: Object<string, number>) => number}
+ * @throws {ExpressionError}
+ */
+export function compile(source, options = {}) {
+    const ast = parse(source, options);
+    return (scope = {}) => evaluate(ast, scope);
+}
+
+/**
+ * Compiles a one-variable function such as a widget's `function` config.
+ * Accepts a preset name, an expression ("x^2/10") or an equation form ("y = x^2", "f(x) = x^2").
+ * @param {string} source
+ * @param {string} [variable='x']
+ * @returns {(value: number) => number}
+ * @throws {ExpressionError}
+ */
+export function toFunction(source, variable = 'x') {
+    const formula = (isOwn(FUNCTION_PRESETS, source) && FUNCTION_PRESETS[source]) || String(source).replace(/^\s*(?:y|f\s*\(\s*\w+\s*\))\s*=/, '');
+    const ast = parse(formula, { variables: [variable] });
+    return (value) => evaluate(ast, { [variable]: value });
+}
+
+/**
+ * Compiles a function machine rule. A rule that starts with an operator is shorthand
+ * for applying it to the input: "+ 2" means "x + 2", "* 3" means "x * 3" (a leading
+ * minus only counts when the rule is just a number: "- 2" is "x - 2", "-2x" is -2·x).
+ * A rule can also be piecewise: a list of { rule, min?, max? } pieces. The first piece
+ * whose range holds the input (min <= x < max) applies; inputs no piece covers give NaN.
+ * @param {string|Array<{ rule: string, min?: number, max?: number }>} rule
+ * @param {string} [variable='x']
+ * @returns {(value: number) => number}
+ * @throws {ExpressionError}
+ */
+export function compileRule(rule, variable = 'x') {
+    if (Array.isArray(rule)) {
+        const pieces = rule.map(piece => ({ ...piece, f: compileRule(piece.rule, variable) }));
+        return (value) => {
+            const piece = pieces.find(p => (p.min === undefined || value >= p.min) && (p.max === undefined || value < p.max));
+            return piece ? piece.f(value) : NaN;
+        };
+    }
+    // "- 2" is shorthand, but "-2x", "-x" and "-(x+1)" are ordinary expressions
+    const source = /^\s*[+*/^×÷·]|^\s*[-−]\s*[\d.]+\s*$/.test(rule) ? `${variable} ${rule}` : rule;
+    return toFunction(source, variable);
+}
+
+/**
+ * Slope of f at x by central difference.
+ * @param {(x: number) => number} f
+ * @param {number} x
+ * @param {number} [h=1e-5]
+ */
+export function derivative(f, x, h = 1e-5) {
+    return (f(x + h) - f(x - h)) / (2 * h);
+}
+
+/**
+ * Definite integral of f over [a, b] by Simpson's rule.
+ * @param {(x: number) => number} f
+ * @param {number} a
+ * @param {number} b
+ * @param {number} [intervals=200] - Rounded up to an even number
+ */
+export function integrate(f, a, b, intervals = 200) {
+    const n = intervals % 2 === 0 ? intervals : intervals + 1;
+    const h = (b - a) / n;
+    let sum = f(a) + f(b);
+    for (let i = 1; i < n; i++) {
+        sum += f(a + i * h) * (i % 2 === 0 ? 2 : 4);
+    }
+    return (sum * h) / 3;
+}
@@ -0,0 +1,31 @@
+/**
+ * icons.js
+ * Built-in icon set for courses and chapters. Course files refer to icons by name
+ * (e.g. "icon": "scale"); a value ending in an image extension is used as a URL instead.
+ */
+
+const SVG_OPEN = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">`;
+
+export const ICONS = {
+    'scale': `${SVG_OPEN}<path d="M3 21h18M12 3v18M5 10l7-7 7 7"/></svg>`, // Balance/Scale approx
+    'machine': `${SVG_OPEN}<rect x="2" y="2" width="20" height="8" rx="2" ry="2" /><rect x="2" y="14" width="20" height="8" rx="2" ry="2" /><line x1="6" y1="6" x2="6" y2="6" /><line x1="6" y1="18" x2="6" y2="18" /></svg>`,
+    'graph': `${SVG_OPEN}<path d="M3 3v18h18" /><path d="M18.7 8l-5.1 5.2-2.8-2.7L7 14.3" /></svg>`,
+    'circle': `${SVG_OPEN}<circle cx="12" cy="12" r="10" /><path d="M2 12h20" /><path d="M12 2v20" /><path d="M12 12l7.07-7.07" /></svg>`,
+    'curve': `${SVG_OPEN}<path d="M3 18c0-5 3-9 9-9 5 0 9-4 9-9" /><line x1="10" y1="12" x2="14" y2="6" /></svg>`, // Curve + Tangent
+    'blocks': `${SVG_OPEN}<path d="M4 19V5a1 1 0 0 1 1-1h14a1 1 0 0 1 1 1v14a1 1 0 0 1-1 1H5a1 1 0 0 1-1-1z" /><line x1="4" y1="12" x2="20" y2="12" /></svg>`,
+    'integral': `${SVG_OPEN}<path d="M14 3c-2 0-3 1.5-3 4v10c0 2.5-1 4-3 4" /><path d="M16 21h4M4 3h4" /></svg>`,
+    'default': `${SVG_OPEN}<circle cx="12" cy="12" r="10"/></svg>`
+};
+
+const IMAGE_PATTERN = /\.(svg|png|jpe?g|gif|webp)$/i;
+
+/**
+ * Markup for an icon name or image path. Unknown names get the default icon.
+ * @param {string} [icon]
+ */
+export function renderIcon(icon) {
+    if (typeof icon === 'string' && IMAGE_PATTERN.test(icon)) {
+        return `<img src="${icon.replace(/"/g, '&quot;')}" width="24" height="24" alt="">`;
+    }
+    return ICONS[icon] || ICONS['default'];
+}
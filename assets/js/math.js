@@ -0,0 +1,169 @@
+/**
+ * math.js
+ * Renders course text containing TeX: `$...$` inline, `$$...$$` display, `\$` for a literal dollar sign.
+ *
+ * KaTeX is bundled in assets/vendor/katex and loaded by index.html as a classic script
+ * (window.katex). If it failed to load, math falls back to readable plain text
+ * ("N \to \infty" becomes "N → ∞") so lessons still make sense.
+ *
+ * Course text is treated as text: everything outside the delimiters is HTML-escaped.
+ */
+
+const MATH_PATTERN = /(\\\$)|\$\$([\s\S]+?)\$\$|\$((?:\\.|[^\\$])+?)\$/g;
+
+// TeX commands with a plain-text stand-in for the fallback
+const TEX_SYMBOLS = {
+    infty: '∞', to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒',
+    cdot: '·', times: '×', div: '÷', pm: '±', approx: '≈', neq: '≠',
+    le: '≤', leq: '≤', ge: '≥', geq: '≥', circ: '°', degree: '°',
+    pi: 'π', theta: 'θ', alpha: 'α', beta: 'β', Delta: 'Δ', delta: 'δ', sum: 'Σ', int: '∫', sqrt: '√',
+    sin: 'sin', cos: 'cos', tan: 'tan', lim: 'lim', ln: 'ln', log: 'log',
+    left: '', right: '', quad: ' ', text: '', mathrm: '', mathbf: ''
+};
+
+const SUPERSCRIPTS = {
+    '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹',
+    '+': '⁺', '-': '⁻', 'n': 'ⁿ', '°': '°'
+};
+
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Best-effort readable text for a TeX snippet (used when KaTeX is unavailable,
+ * and for places that only take text, like the breadcrumb).
+ */
+export function texToPlainText(tex) {
+    let text = tex;
+
+    // \frac{a}{b} -> a/b, innermost first
+    const frac = /\\frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/;
+    const operand = (part) => (/[-+*/ ]/.test(part.trim()) ? `(${part.trim()})` : part.trim());
+    while (frac.test(text)) {
+        text = text.replace(frac, (_, a, b) => `${operand(a)}/${operand(b)}`);
+    }
+
+    text = text
+        .replace(/\\([A-Za-z]+)/g, (match, name) => (TEX_SYMBOLS[name] !== undefined ? TEX_SYMBOLS[name] : name))
+        .replace(/\\[,;:! ]/g, ' ')
+        .replace(/\^\{([^{}]*)\}|\^(.)/g, (match, group, single) => {
+            const power = group !== undefined ? group : single;
+            const chars = [...power];
+            return chars.every(ch => SUPERSCRIPTS[ch]) ? chars.map(ch => SUPERSCRIPTS[ch]).join('') : `^(${power})`;
+        })
+        .replace(/_\{([^{}]*)\}/g, (match, sub) => (sub.length > 1 ? `_(${sub})` : `_${sub}`))
+        .replace(/[{}]/g, '')
+        .replace(/\s+/g, ' ');
+
+    return text.trim();
+}
+
+function renderTex(tex, displayMode) {
+    const katex = globalThis.katex;
+    if (katex) {
+        try {
+            return katex.renderToString(tex, { displayMode, throwOnError: false });
+        } catch (error) {
+            console.warn("KaTeX failed to render:", tex, error);
+        }
+    }
+    const className = displayMode ? 'math-fallback display' : 'math-fallback';
+    return `<span class="${className}">${escapeHtml(texToPlainText(tex))}</span>`;
+}
+
+/**
+ * HTML for a piece of course text, with any math rendered.
+ * @param {string} text
+ */
+export function renderMath(text) {
+    if (text === undefined || text === null) return '';
+
+    const source = String(text);
+    let html = '';
+    let last = 0;
+    for (const match of source.matchAll(MATH_PATTERN)) {
+        html += escapeHtml(source.slice(last, match.index));
+        const [, dollar, display, inline] = match;
+        html += dollar ? '$' : renderTex(display !== undefined ? display : inline, display !== undefined);
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(source.slice(last));
+}
+
+// Formula markers: \bind{name}{tex} ties `tex` to a name, \val{key} is a live value
+const FORMULA_MARKER = /\\bind\{([\w-]+)\}\{|\\val\{(\w+)\}/;
+
+/**
+ * Plain-text stand-in for a formula with markers, keeping the bound parts and values
+ * as elements. The bound group runs to its matching closing brace.
+ */
+function formulaFallback(tex, valueText) {
+    let html = '';
+    let rest = tex;
+    let match;
+    while ((match = FORMULA_MARKER.exec(rest))) {
+        html += `${escapeHtml(texToPlainText(rest.slice(0, match.index)))} `;
+        rest = rest.slice(match.index + match[0].length);
+        const [, part, key] = match;
+        if (key !== undefined) {
+            html += `<span data-value="${escapeHtml(key)}">${escapeHtml(valueText(key))}</span> `;
+            continue;
+        }
+
+        let depth = 1;
+        let end = 0;
+        while (end < rest.length && depth > 0) {
+            if (rest[end] === '{') depth++;
+            if (rest[end] === '}') depth--;
+            end++;
+        }
+        html += `<span data-part="${escapeHtml(part)}">${formulaFallback(rest.slice(0, end - 1), valueText)}</span> `;
+        rest = rest.slice(end);
+    }
+    return html + escapeHtml(texToPlainText(rest));
+}
+
+/**
+ * HTML for a display formula whose pieces can be found again after rendering:
+ * `\bind{name}{tex}` renders `tex` inside an element with data-part="name", and
+ * `\val{key}` shows `values[key]` (through `format`) inside one with data-value="key".
+ * @param {string} tex - TeX without `$$` delimiters
+ * @param {object} [values]
+ * @param {(value: any) => string} [format]
+ */
+export function renderFormula(tex, values = {}, format = String) {
+    const valueText = (key) => (values[key] === undefined ? '?' : format(values[key]));
+    const katex = globalThis.katex;
+    if (katex) {
+        const source = tex
+            .replace(/\\bind\{([\w-]+)\}/g, (match, name) => `\\htmlData{part=${name}}`)
+            .replace(/\\val\{(\w+)\}/g, (match, key) => `\\htmlData{value=${key}}{${valueText(key)}}`);
+        try {
+            return katex.renderToString(source, {
+                displayMode: true,
+                throwOnError: false,
+                // \htmlData is the only HTML extension course formulas get
+                trust: (context) => context.command === '\\htmlData',
+                strict: (code) => (code === 'htmlExtension' ? 'ignore' : 'warn')
+            });
+        } catch (error) {
+            console.warn("KaTeX failed to render:", tex, error);
+        }
+    }
+    return `<span class="math-fallback display">${formulaFallback(tex, valueText)}</span>`;
+}
+
+/**
+ * Plain-text version of a piece of course text (math converted, delimiters removed).
+ * @param {string} text
+ */
+export function toPlainText(text) {
+    if (text === undefined || text === null) return '';
+    return String(text).replace(MATH_PATTERN, (match, dollar, display, inline) =>
+        (dollar ? '$' : texToPlainText(display !== undefined ? display : inline)));
+}
@@ -0,0 +1,175 @@
+/**
+ * params.js
+ * Randomized problem instances. A lesson with `params` is a template: each attempt draws
+ * values for the params from a seeded random source, and `{{ }}` placeholders anywhere
+ * else in the lesson (instruction, interactionConfig, quiz, hints, steps) are filled in.
+ *
+ *   "params": {
+ *       "right": { "min": 1, "max": 4 },                 A whole number from min to max
+ *       "mass": { "min": 0.5, "max": 2, "step": 0.5 },   ... or in steps of `step`
+ *       "rule": { "oneOf": ["+ 2", "* 3"] },             One of a set (numbers or text)
+ *       "left": "right + added"                          Worked out from the params above it
+ *   }
+ *
+ * A placeholder holds an expression over the params (see expression.js), or just a
+ * param's name. A string that is nothing but one placeholder ("{{left - right}}") becomes
+ * the value itself, so numbers stay numbers (a computed `correctIndex` works); inside
+ * longer text the value is written out ("Put {{left}}kg on the left"), so a field that
+ * must be text, like a quiz option, wraps it: "{{left}}kg", "${{left}}$".
+ *
+ * The same seed always draws the same values, so an attempt can be reloaded or shared.
+ * Like expression.js it is DOM-free, so schema.js can try templates out from Node too.
+ */
+
+import { compile, ExpressionError } from './expression.js';
+
+const PLACEHOLDER = /\{\{([^}]*)\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{([^}]*)\}\}$/;
+const NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * A template that can't be filled in: a bad param or placeholder. `path` points at it
+ * inside the lesson (e.g. "quiz.options[1]"), the way schema.js reports problems.
+ */
+export class ParamError extends Error {
+    constructor(message, path) {
+        super(message);
+        this.name = 'ParamError';
+        this.path = path;
+    }
+}
+
+/**
+ * A seeded random source (mulberry32): returns numbers in [0, 1), the same sequence for the same seed.
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A fresh seed for a new attempt. Kept short, since it shows up in the lesson's URL.
+ */
+export function newSeed() {
+    return Math.floor(Math.random() * 1000000);
+}
+
+// Arithmetic like 0.1 + 0.2 shouldn't reach the learner as 0.30000000000000004
+function tidy(value) {
+    return typeof value === 'number' ? Number(value.toFixed(10)) : value;
+}
+
+/**
+ * Evaluates one expression with the values drawn so far. A bare param name gives its
+ * value as is, so text params work; arithmetic only sees the numeric ones.
+ */
+function evaluateIn(source, values, path) {
+    const expression = source.trim();
+    if (Object.prototype.hasOwnProperty.call(values, expression)) return values[expression];
+
+    const numeric = Object.keys(values).filter(name => typeof values[name] === 'number');
+    let result;
+    try {
+        result = compile(expression, { variables: numeric })(values);
+    } catch (error) {
+        if (error instanceof ExpressionError) throw new ParamError(`"${expression}": ${error.message}`, path);
+        throw error;
+    }
+    if (!Number.isFinite(result)) {
+        throw new ParamError(`"${expression}" is not a number with ${describeValues(values)}`, path);
+    }
+    return tidy(result);
+}
+
+function drawParam(spec, random, values, path) {
+    if (typeof spec === 'string') return evaluateIn(spec, values, path);
+    if (Array.isArray(spec.oneOf)) return spec.oneOf[Math.floor(random() * spec.oneOf.length)];
+
+    const { min, max, step = 1 } = spec;
+    if (!(step > 0)) throw new ParamError('step must be more than 0', path);
+    if (max < min) throw new ParamError(`max (${max}) is less than min (${min})`, path);
+    const count = Math.floor((max - min) / step + 1e-9) + 1;
+    return tidy(min + Math.floor(random() * count) * step);
+}
+
+/**
+ * Draws a value for every param, in the order they are declared.
+ * @param {Object<string, object|string>} params - A lesson's `params`
+ * @param {number} seed
+ * @returns {Object<string, number|string>}
+ * @throws {ParamError}
+ */
+export function drawParams(params, seed) {
+    const random = createRandom(seed);
+    const values = {};
+    for (const [name, spec] of Object.entries(params)) {
+        const path = `params.${name}`;
+        if (!NAME.test(name)) throw new ParamError('param names may only use letters, digits and _', path);
+        values[name] = drawParam(spec, random, values, path);
+    }
+    return values;
+}
+
+/**
+ * Fills in the placeholders of a value (string, array or object, recursively).
+ * @param {*} value
+ * @param {Object<string, number|string>} values - From drawParams
+ * @param {string} [path] - Where `value` sits in the lesson, for errors
+ * @throws {ParamError}
+ */
+export function instantiate(value, values, path = '') {
+    if (typeof value === 'string') {
+        const whole = WHOLE_PLACEHOLDER.exec(value);
+        if (whole) return evaluateIn(whole[1], values, path);
+        return value.replace(PLACEHOLDER, (match, expression) => String(evaluateIn(expression, values, path)));
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, i) => instantiate(item, values, `${path}[${i}]`));
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, child] of Object.entries(value)) {
+            result[key] = instantiate(child, values, path ? `${path}.${key}` : key);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * The lesson as the learner sees it for one attempt. Lessons without `params` come back unchanged.
+ * @param {object} lesson
+ * @param {number} seed
+ * @returns {object} A copy with every placeholder filled in (`id` and `params` are kept as they are)
+ * @throws {ParamError}
+ */
+export function instantiateLesson(lesson, seed) {
+    if (!lesson.params) return lesson;
+    const { id, params, ...rest } = lesson;
+    return { id, ...instantiate(rest, drawParams(params, seed)), params };
+}
+
+/**
+ * A template's text with its placeholders blanked out ("Put …kg on the left"), for
+ * when there are no values to fill them in with.
+ * @param {string} text
+ * @returns {string}
+ */
+export function blankPlaceholders(text) {
+    return text.replace(PLACEHOLDER, '…');
+}
+
+/**
+ * "right = 2, added = 3", for messages about a particular draw.
+ */
+export function describeValues(values) {
+    return Object.entries(values).map(([name, value]) => `${name} = ${JSON.stringify(value)}`).join(', ');
+}
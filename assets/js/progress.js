@@ -0,0 +1,267 @@
+/**
+ * progress.js
+ * Persists learner progress (lesson completion, quiz attempts, last position and the
+ * current problem of randomized lessons) in localStorage so a page reload resumes
+ * where the learner left off.
+ *
+ * Saved data is scoped per course (catalog `id`) and keyed by the chapter and lesson
+ * `id`s from the course file, never by array index, so reordering lessons in the
+ * course file keeps progress intact.
+ */
+
+const STORAGE_KEY = 'mathflow.progress';
+
+// Bump this whenever the saved shape changes, and add a step to MIGRATIONS below.
+export const PROGRESS_VERSION = 2;
+
+// v1 predates the catalog; everything it saved belongs to the original calculus course.
+const LEGACY_COURSE_ID = 'calculus';
+
+/**
+ * Upgrade steps keyed by the version they upgrade *from*.
+ * Each step receives the saved object and returns it in the next version's shape.
+ */
+const MIGRATIONS = {
+    // v1 -> v2: progress moves under courses[courseId]
+    1: (data) => ({
+        version: 2,
+        courses: {
+            [LEGACY_COURSE_ID]: {
+                chapters: data.chapters || {},
+                lastPosition: data.lastPosition || null
+            }
+        },
+        lastCourseId: data.lastPosition ? LEGACY_COURSE_ID : null
+    })
+};
+
+function emptyProgress() {
+    return {
+        version: PROGRESS_VERSION,
+        courses: {},
+        lastCourseId: null
+    };
+}
+
+function emptyCourseProgress() {
+    return {
+        chapters: {},
+        lastPosition: null
+    };
+}
+
+export class ProgressStore {
+    /**
+     * @param {Storage} [storage] - Defaults to window.localStorage. Anything with
+     * getItem/setItem/removeItem works (handy for private browsing fallbacks).
+     */
+    constructor(storage) {
+        this.storage = storage || this.getDefaultStorage();
+        this.data = this.load();
+        this.courseId = null;
+    }
+
+    /**
+     * Scopes every lesson/chapter method below to one course from the catalog.
+     */
+    selectCourse(courseId) {
+        this.courseId = courseId;
+    }
+
+    /**
+     * A course's saved progress, or an empty one that isn't stored: reading progress
+     * (e.g. for the catalog) never writes an entry for a course the learner hasn't started.
+     */
+    getCourseProgress(courseId = this.courseId) {
+        if (!courseId) throw new Error("No course selected for progress tracking");
+        return this.data.courses[courseId] || emptyCourseProgress();
+    }
+
+    /**
+     * Like getCourseProgress, but stores the entry, for the methods that record something.
+     */
+    ensureCourseProgress(courseId = this.courseId) {
+        if (!courseId) throw new Error("No course selected for progress tracking");
+        if (!this.data.courses[courseId]) {
+            this.data.courses[courseId] = emptyCourseProgress();
+        }
+        return this.data.courses[courseId];
+    }
+
+    getDefaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            // Some browsers throw on access when storage is disabled
+            return null;
+        }
+    }
+
+    load() {
+        if (!this.storage) return emptyProgress();
+
+        let raw = null;
+        try {
+            raw = this.storage.getItem(STORAGE_KEY);
+        } catch (error) {
+            console.warn("Progress storage unavailable:", error);
+            return emptyProgress();
+        }
+        if (!raw) return emptyProgress();
+
+        try {
+            return this.migrate(JSON.parse(raw));
+        } catch (error) {
+            // Never let a corrupt save break the app. Start over instead.
+            console.warn("Discarding unreadable progress data:", error);
+            return emptyProgress();
+        }
+    }
+
+    /**
+     * Walks saved data forward through MIGRATIONS until it matches PROGRESS_VERSION.
+     * Data written by a newer version of the app is left untouched in storage.
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+            throw new Error("Missing progress version");
+        }
+
+        if (data.version > PROGRESS_VERSION) {
+            this.readOnly = true;
+            console.warn(`Progress was saved by a newer version (v${data.version}); not overwriting it.`);
+            return emptyProgress();
+        }
+
+        let migrated = data;
+        while (migrated.version < PROGRESS_VERSION) {
+            const step = MIGRATIONS[migrated.version];
+            if (!step) throw new Error(`No migration from progress v${migrated.version}`);
+            migrated = step(migrated);
+        }
+        return migrated;
+    }
+
+    save() {
+        if (!this.storage || this.readOnly) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn("Failed to save progress:", error);
+        }
+    }
+
+    /**
+     * Returns the saved record for a lesson, creating it if needed (only for recording).
+     */
+    getLessonRecord(chapterId, lessonId) {
+        const chapters = this.ensureCourseProgress().chapters;
+        if (!chapters[chapterId]) {
+            chapters[chapterId] = { lessons: {} };
+        }
+        const lessons = chapters[chapterId].lessons;
+        if (!lessons[lessonId]) {
+            lessons[lessonId] = { completed: false, attempts: 0, correctAttempts: 0 };
+        }
+        return lessons[lessonId];
+    }
+
+    isLessonComplete(chapterId, lessonId) {
+        const chapter = this.getCourseProgress().chapters[chapterId];
+        return !!(chapter && chapter.lessons[lessonId] && chapter.lessons[lessonId].completed);
+    }
+
+    recordAttempt(chapterId, lessonId, isCorrect) {
+        const record = this.getLessonRecord(chapterId, lessonId);
+        record.attempts++;
+        if (isCorrect) record.correctAttempts++;
+        this.save();
+    }
+
+    markLessonComplete(chapterId, lessonId) {
+        const record = this.getLessonRecord(chapterId, lessonId);
+        if (!record.completed) {
+            record.completed = true;
+            record.completedAt = new Date().toISOString();
+        }
+        this.save();
+    }
+
+    /**
+     * The seed of the learner's current problem in a lesson with `params` (see params.js),
+     * so coming back shows the same numbers until they ask for a new problem.
+     */
+    getLessonSeed(chapterId, lessonId) {
+        const chapter = this.getCourseProgress().chapters[chapterId];
+        const record = chapter && chapter.lessons[lessonId];
+        return record && record.seed !== undefined ? record.seed : null;
+    }
+
+    setLessonSeed(chapterId, lessonId, seed) {
+        this.getLessonRecord(chapterId, lessonId).seed = seed;
+        this.save();
+    }
+
+    setLastPosition(chapterId, lessonId) {
+        this.ensureCourseProgress().lastPosition = { chapterId, lessonId, updatedAt: new Date().toISOString() };
+        this.data.lastCourseId = this.courseId;
+        this.save();
+    }
+
+    getLastPosition(courseId = this.courseId) {
+        const course = this.data.courses[courseId];
+        return course ? course.lastPosition : null;
+    }
+
+    /**
+     * The course the learner was in most recently, for the home view's "Continue" button.
+     */
+    getLastCourseId() {
+        return this.data.lastCourseId;
+    }
+
+    /**
+     * Number of completed lessons in a course, without needing the course file loaded.
+     */
+    getCompletedLessonCount(courseId) {
+        const course = this.data.courses[courseId];
+        if (!course) return 0;
+        return Object.values(course.chapters)
+            .reduce((sum, chapter) => sum + Object.values(chapter.lessons).filter(l => l.completed).length, 0);
+    }
+
+    /**
+     * Completion summary for a chapter object from course_data.json.
+     * Lessons that no longer exist in the course are ignored.
+     * @returns {{ completed: number, total: number, percent: number }}
+     */
+    getChapterCompletion(chapter) {
+        const total = chapter.lessons.length;
+        const completed = chapter.lessons.filter(lesson => this.isLessonComplete(chapter.id, lesson.id)).length;
+        return {
+            completed,
+            total,
+            percent: total === 0 ? 0 : Math.round((completed / total) * 100)
+        };
+    }
+
+    /**
+     * Clears progress for one course, leaving the others alone.
+     */
+    resetCourse(courseId = this.courseId) {
+        delete this.data.courses[courseId];
+        if (this.data.lastCourseId === courseId) this.data.lastCourseId = null;
+        this.save();
+    }
+
+    reset() {
+        this.data = emptyProgress();
+        this.readOnly = false;
+        if (!this.storage) return;
+        try {
+            this.storage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.warn("Failed to clear progress:", error);
+        }
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * quiz.js
+ * Quiz types. A lesson's `quiz.type` picks one (default "single").
+ *
+ * Each type supplies:
+ *   render(quiz)                 Markup for the answer area.
+ *   readAnswer(container)        The learner's answer, read from the DOM when they press Check.
+ *                                Omitted by types that grade on click (single choice).
+ *   grade(quiz, answer)          { correct, hint, answerText, scenarioValue, invalid? }
+ *   handleClick(container, el)   Optional: type-specific controls (e.g. reordering).
+ *
+ * `hint` has the same shape as a failureHints entry (a string or { text, highlight }), so
+ * every type feeds the engine's existing highlight / scenario feedback path.
+ * `invalid` marks input that couldn't be read at all; it isn't counted as an attempt.
+ */
+
+import { parse, evaluate, areEquivalent, variablesOf, ExpressionError } from './expression.js';
+import { renderMath, escapeHtml } from './math.js';
+
+const DEFAULT_WRONG = "Not quite. Try again.";
+const DEFAULT_RIGHT = "Correct!";
+
+function checkButton() {
+    return `<button class="quiz-submit" data-quiz-submit>Check</button>`;
+}
+
+/**
+ * Deterministic shuffle (seeded from the question text) so the order doesn't jump
+ * around on every re-render, but never returns the already-solved order.
+ */
+function shuffledIndices(count, seedText) {
+    let seed = [...seedText].reduce((sum, ch) => (sum * 31 + ch.charCodeAt(0)) % 2147483647, 7);
+    const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+
+    const indices = [...Array(count).keys()];
+    for (let i = count - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    if (count > 1 && indices.every((value, i) => value === i)) indices.reverse();
+    return indices;
+}
+
+function withinTolerance(a, b, tolerance) {
+    return Math.abs(a - b) <= tolerance;
+}
+
+export const QUIZ_TYPES = {
+    /**
+     * { options: string[], correctIndex: number, failureHints?: hint[] }
+     */
+    'single': {
+        render(quiz) {
+            return `
+                <div class="quiz-options">
+                    ${quiz.options.map((opt, idx) => `
+                        <button class="quiz-btn" data-option-index="${idx}">${renderMath(opt)}</button>
+                    `).join('')}
+                </div>`;
+        },
+        grade(quiz, optionIndex) {
+            const correct = optionIndex === quiz.correctIndex;
+            const hint = (quiz.failureHints || [])[optionIndex];
+            return {
+                correct,
+                hint: hint || (correct ? DEFAULT_RIGHT : "Incorrect, try again."),
+                answerText: quiz.options[optionIndex],
+                scenarioValue: quiz.options[optionIndex]
+            };
+        },
+        markCorrect(container, optionIndex) {
+            const btn = container.querySelector(`[data-option-index="${optionIndex}"]`);
+            if (btn) btn.classList.add('correct-flash');
+        }
+    },
+
+    /**
+     * { answer: number, tolerance?: number, unit?: string,
+     *   feedback?: [{ value | min/max, text, highlight? }], failureHint?, correctFeedback? }
+     * Answers may be typed as fractions or expressions ("1/2", "sqrt(2)/2").
+     */
+    'numeric': {
+        render(quiz) {
+            return `
+                <div class="quiz-answer quiz-numeric">
+                    <input type="text" class="quiz-input" inputmode="decimal" autocomplete="off" aria-label="Your answer">
+                    ${quiz.unit ? `<span class="quiz-unit">${renderMath(quiz.unit)}</span>` : ''}
+                    ${checkButton()}
+                </div>`;
+        },
+        readAnswer(container) {
+            return container.querySelector('.quiz-input').value;
+        },
+        grade(quiz, text) {
+            let value;
+            try {
+                value = evaluate(parse(text, { variables: [] }));
+            } catch (error) {
+                return { correct: false, invalid: true, hint: "Enter a number, like 0.5 or 1/2." };
+            }
+            if (!Number.isFinite(value)) {
+                return { correct: false, invalid: true, hint: "That doesn't work out to a number." };
+            }
+
+            const tolerance = quiz.tolerance ?? 1e-6;
+            if (withinTolerance(value, quiz.answer, tolerance)) {
+                return { correct: true, hint: quiz.correctFeedback || DEFAULT_RIGHT, answerText: text, scenarioValue: value };
+            }
+
+            const match = (quiz.feedback || []).find(entry => (entry.value !== undefined
+                ? withinTolerance(value, entry.value, tolerance)
+                : value >= (entry.min ?? -Infinity) && value <= (entry.max ?? Infinity)));
+
+            return { correct: false, hint: match || quiz.failureHint || DEFAULT_WRONG, answerText: text, scenarioValue: value };
+        }
+    },
+
+    /**
+     * { options: string[], correctIndices: number[], failureHints?: hint[], missingHint?, correctFeedback? }
+     * Wrongly ticked options show their failureHints entry; missing ones show missingHint.
+     */
+    'multi': {
+        render(quiz) {
+            return `
+                <div class="quiz-answer quiz-multi">
+                    ${quiz.options.map((opt, idx) => `
+                        <label class="quiz-check"><input type="checkbox" value="${idx}"> <span>${renderMath(opt)}</span></label>
+                    `).join('')}
+                    ${checkButton()}
+                </div>`;
+        },
+        readAnswer(container) {
+            return [...container.querySelectorAll('.quiz-check input:checked')].map(input => Number(input.value));
+        },
+        grade(quiz, selected) {
+            const answerText = selected.map(i => quiz.options[i]).join(', ');
+            if (selected.length === 0) {
+                return { correct: false, invalid: true, hint: "Tick every answer that applies." };
+            }
+
+            const wrong = selected.filter(i => !quiz.correctIndices.includes(i));
+            const missing = quiz.correctIndices.filter(i => !selected.includes(i));
+            if (wrong.length === 0 && missing.length === 0) {
+                return { correct: true, hint: quiz.correctFeedback || DEFAULT_RIGHT, answerText };
+            }
+
+            if (wrong.length > 0) {
+                const hint = (quiz.failureHints || [])[wrong[0]];
+                return { correct: false, hint: hint || DEFAULT_WRONG, answerText, scenarioValue: quiz.options[wrong[0]] };
+            }
+            return {
+                correct: false,
+                hint: quiz.missingHint || `Almost: ${missing.length === 1 ? 'one answer is' : 'some answers are'} missing.`,
+                answerText
+            };
+        }
+    },
+
+    /**
+     * { items: string[] (in the correct order), failureHint?, correctFeedback? }
+     * Shown shuffled; learners reorder with the up/down buttons.
+     */
+    'order': {
+        render(quiz) {
+            const order = shuffledIndices(quiz.items.length, quiz.question);
+            return `
+                <div class="quiz-answer quiz-order">
+                    <ol class="quiz-order-list">
+                        ${order.map(idx => `
+                            <li class="quiz-order-item" data-item-index="${idx}">
+                                <span class="quiz-order-text">${renderMath(quiz.items[idx])}</span>
+                                <span class="quiz-order-controls">
+                                    <button class="quiz-order-btn" data-order-move="-1" aria-label="Move up">&uarr;</button>
+                                    <button class="quiz-order-btn" data-order-move="1" aria-label="Move down">&darr;</button>
+                                </span>
+                            </li>
+                        `).join('')}
+                    </ol>
+                    ${checkButton()}
+                </div>`;
+        },
+        handleClick(container, target) {
+            const btn = target.closest('[data-order-move]');
+            if (!btn) return;
+
+            const item = btn.closest('.quiz-order-item');
+            const list = item.parentNode;
+            if (btn.dataset.orderMove === '-1' && item.previousElementSibling) {
+                list.insertBefore(item, item.previousElementSibling);
+            } else if (btn.dataset.orderMove === '1' && item.nextElementSibling) {
+                list.insertBefore(item.nextElementSibling, item);
+            }
+            btn.focus();
+        },
+        readAnswer(container) {
+            return [...container.querySelectorAll('.quiz-order-item')].map(li => Number(li.dataset.itemIndex));
+        },
+        grade(quiz, order) {
+            const answerText = order.map(i => quiz.items[i]).join(' → ');
+            const inPlace = order.filter((itemIndex, position) => itemIndex === position).length;
+            if (inPlace === quiz.items.length) {
+                return { correct: true, hint: quiz.correctFeedback || DEFAULT_RIGHT, answerText };
+            }
+            return {
+                correct: false,
+                hint: quiz.failureHint || `${inPlace} of ${quiz.items.length} are in the right place.`,
+                answerText
+            };
+        }
+    },
+
+    /**
+     * { answer: string, variables?: string[],
+     *   feedback?: [{ expression, text, highlight? }], failureHint?, correctFeedback? }
+     * Graded by algebraic equivalence, so "2x", "x*2" and "x+x" all pass.
+     * `feedback` entries catch common wrong answers the same way.
+     */
+    'expression': {
+        render(quiz) {
+            return `
+                <div class="quiz-answer quiz-expression">
+                    <input type="text" class="quiz-input" autocomplete="off" spellcheck="false"
+                        aria-label="Your answer" placeholder="e.g. ${escapeHtml(quiz.placeholder || '2x + 1')}">
+                    ${checkButton()}
+                </div>`;
+        },
+        readAnswer(container) {
+            return container.querySelector('.quiz-input').value;
+        },
+        grade(quiz, text) {
+            const variables = quiz.variables || variablesOf(parse(quiz.answer));
+            // Comparing evaluates the learner's expression, which can fail as well as parsing it
+            let correct, match;
+            try {
+                const learner = parse(text, { variables });
+                correct = areEquivalent(learner, parse(quiz.answer, { variables }));
+                match = correct ? null : (quiz.feedback || []).find(entry => areEquivalent(learner, parse(entry.expression, { variables })));
+            } catch (error) {
+                const reason = error instanceof ExpressionError ? error.message : String(error);
+                return { correct: false, invalid: true, hint: `I couldn't read that: ${reason}` };
+            }
+
+            if (correct) {
+                return { correct: true, hint: quiz.correctFeedback || DEFAULT_RIGHT, answerText: text };
+            }
+            return { correct: false, hint: match || quiz.failureHint || DEFAULT_WRONG, answerText: text, scenarioValue: text };
+        }
+    }
+};
+
+/**
+ * @returns the quiz type for a quiz object (single choice when `type` is omitted)
+ */
+export function getQuizType(quiz) {
+    return QUIZ_TYPES[quiz.type || 'single'];
+}
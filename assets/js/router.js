@@ -0,0 +1,130 @@
+/**
+ * router.js
+ * Minimal hash router so every view and lesson has a shareable URL
+ * (e.g. #/chapter/ch4_trig/lesson/4_1_sine) and the back button stays inside the app.
+ *
+ * Navigation inside the app calls `push()`, which only records the URL.
+ * Browser navigation (back/forward, edited hash) fires popstate, which is resolved
+ * against the route table and dispatched to the matching handler.
+ */
+
+export class HashRouter {
+    /**
+     * @param {Array<{ pattern: string, handler: (params: object) => boolean|void|Promise<boolean|void> }>} routes
+     *   Patterns use `:name` segments, e.g. '/chapter/:chapterId'. A handler may return
+     *   (or resolve to) false to reject the match (e.g. the chapter id doesn't exist).
+     * @param {{ fallback: string }} options - Path to redirect to when nothing matches.
+     */
+    constructor(routes, { fallback }) {
+        this.routes = routes.map(route => ({ ...route, matcher: this.compile(route.pattern) }));
+        this.fallback = fallback;
+        this.onPopState = () => this.resolveAndReport();
+    }
+
+    compile(pattern) {
+        const keys = [];
+        const source = pattern
+            .split('/')
+            .map(segment => {
+                if (segment.startsWith(':')) {
+                    keys.push(segment.slice(1));
+                    return '([^/]+)';
+                }
+                return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('/');
+        return { regex: new RegExp(`^${source}/?$`), keys };
+    }
+
+    start() {
+        window.addEventListener('popstate', this.onPopState);
+        return this.resolveAndReport();
+    }
+
+    /**
+     * resolve() for the callers nothing above would catch a failing handler for
+     * (popstate, start-up): the error is logged instead of becoming an unhandled rejection.
+     * @returns {Promise<void>}
+     */
+    resolveAndReport() {
+        return this.resolve().catch(error => {
+            console.error(`Could not show "${this.currentPath()}":`, error);
+        });
+    }
+
+    stop() {
+        window.removeEventListener('popstate', this.onPopState);
+    }
+
+    currentPath() {
+        return window.location.hash.replace(/^#/, '') || '/';
+    }
+
+    /**
+     * Dispatches the current URL to its route, redirecting to the fallback if
+     * nothing matches or the handler rejects the parameters.
+     * @returns {Promise<void>} Settles once the handler (which may load data) is done.
+     */
+    async resolve() {
+        const path = this.currentPath();
+
+        for (const route of this.routes) {
+            const match = route.matcher.regex.exec(path);
+            if (!match) continue;
+
+            const params = this.decodeParams(route.matcher.keys, match);
+            if (!params) continue; // Malformed escapes (e.g. "%E0") match nothing
+
+            // Handlers push the URL of what they render. While resolving, that only
+            // canonicalizes the current entry (e.g. #/chapter/x -> its first lesson).
+            this.resolving = true;
+            let accepted;
+            try {
+                accepted = (await route.handler(params)) !== false;
+            } finally {
+                this.resolving = false;
+            }
+            if (accepted) return;
+            break;
+        }
+
+        if (path !== this.fallback) {
+            console.warn(`No route for "${path}", falling back to ${this.fallback}`);
+            this.replace(this.fallback);
+            await this.resolve();
+        }
+    }
+
+    /**
+     * @returns {object|null} null if a segment isn't valid percent-encoding
+     */
+    decodeParams(keys, match) {
+        const params = {};
+        try {
+            keys.forEach((key, i) => {
+                params[key] = decodeURIComponent(match[i + 1]);
+            });
+        } catch (error) {
+            if (error instanceof URIError) return null;
+            throw error;
+        }
+        return params;
+    }
+
+    /**
+     * Records a new history entry for a view the app has already shown.
+     * Does nothing if the URL is already current, so handlers can call it freely.
+     */
+    push(path) {
+        if (path === this.currentPath()) return;
+        if (this.resolving) {
+            this.replace(path);
+            return;
+        }
+        window.history.pushState(null, '', `#${path}`);
+    }
+
+    replace(path) {
+        window.history.replaceState(null, '', `#${path}`);
+    }
+}
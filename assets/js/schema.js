@@ -0,0 +1,698 @@
+/**
+ * schema.js
+ * Schemas and validators for the course catalog (data/catalog.json) and course files.
+ *
+ * Runs in the browser at load time (LessonEngine) and from Node for authors
+ * (scripts/validate-course.mjs), so it must stay free of DOM access.
+ *
+ * Problems come back as { severity, path, message }. Errors stop the course from
+ * loading; warnings (e.g. an unknown config key, usually a typo) are only reported.
+ */
+
+import { parse } from './expression.js';
+import { drawParams, instantiateLesson, describeValues, ParamError } from './params.js';
+import { getWidget, getWidgetTypes } from './widgets/registry.js';
+
+// Building blocks, also used by widget modules for their configSchema
+export const NUMBER = { type: 'number' };
+export const STRING = { type: 'string', nonEmpty: true };
+export const BOOLEAN = { type: 'boolean' };
+export const NUMBER_OR_STRING = { oneOf: [NUMBER, STRING] };
+
+// A widget part to point at: a highlightTargets name, or { target, style, text, duration }
+const HIGHLIGHT = {
+    oneOf: [
+        STRING,
+        {
+            type: 'object',
+            required: ['target'],
+            properties: {
+                target: STRING,
+                style: { enum: ['flash', 'pulse', 'dim', 'callout'] },
+                text: STRING, // Callout label
+                duration: { type: 'number', minimum: 0 } // ms
+            }
+        }
+    ]
+};
+
+const HINT = {
+    oneOf: [
+        { type: 'string' },
+        {
+            type: 'object',
+            required: ['text'],
+            properties: { text: STRING, highlight: HIGHLIGHT, scenario: { type: 'object' } }
+        }
+    ]
+};
+
+const NUMERIC_FEEDBACK = {
+    type: 'object',
+    required: ['text'],
+    properties: { value: NUMBER, min: NUMBER, max: NUMBER, text: STRING, highlight: HIGHLIGHT, scenario: { type: 'object' } }
+};
+
+const EXPRESSION_FEEDBACK = {
+    type: 'object',
+    required: ['expression', 'text'],
+    properties: { expression: STRING, text: STRING, highlight: HIGHLIGHT, scenario: { type: 'object' } }
+};
+
+const QUIZ_COMMON = {
+    type: { enum: ['single', 'numeric', 'multi', 'order', 'expression'] },
+    question: STRING
+};
+
+/**
+ * quiz schema per quiz `type` (see assets/js/quiz.js). Omitting `type` means "single".
+ */
+export const QUIZ_SCHEMAS = {
+    'single': {
+        type: 'object',
+        required: ['question', 'options', 'correctIndex'],
+        properties: {
+            ...QUIZ_COMMON,
+            options: { type: 'array', minItems: 2, items: STRING },
+            correctIndex: { type: 'integer', minimum: 0 },
+            failureHints: { type: 'array', items: HINT }
+        }
+    },
+    'numeric': {
+        type: 'object',
+        required: ['question', 'answer'],
+        properties: {
+            ...QUIZ_COMMON,
+            answer: NUMBER,
+            tolerance: { type: 'number', minimum: 0 },
+            unit: STRING,
+            feedback: { type: 'array', items: NUMERIC_FEEDBACK },
+            failureHint: HINT,
+            correctFeedback: STRING
+        }
+    },
+    'multi': {
+        type: 'object',
+        required: ['question', 'options', 'correctIndices'],
+        properties: {
+            ...QUIZ_COMMON,
+            options: { type: 'array', minItems: 2, items: STRING },
+            correctIndices: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 0 } },
+            failureHints: { type: 'array', items: HINT },
+            missingHint: HINT,
+            correctFeedback: STRING
+        }
+    },
+    'order': {
+        type: 'object',
+        required: ['question', 'items'],
+        properties: {
+            ...QUIZ_COMMON,
+            items: { type: 'array', minItems: 2, items: STRING },
+            failureHint: HINT,
+            correctFeedback: STRING
+        }
+    },
+    'expression': {
+        type: 'object',
+        required: ['question', 'answer'],
+        properties: {
+            ...QUIZ_COMMON,
+            answer: STRING,
+            variables: { type: 'array', minItems: 1, items: STRING },
+            placeholder: STRING,
+            feedback: { type: 'array', items: EXPRESSION_FEEDBACK },
+            failureHint: HINT,
+            correctFeedback: STRING
+        }
+    }
+};
+
+const STEP_COMMON = {
+    type: { enum: ['text', 'interact', 'quiz', 'notation'] },
+    config: { type: 'object' } // Merged into the widget's config; checked per visualType below
+};
+
+/**
+ * Schema per step `type` of a multi-step lesson (see assets/js/steps.js).
+ */
+export const STEP_SCHEMAS = {
+    'text': {
+        type: 'object',
+        required: ['type', 'text'],
+        properties: { ...STEP_COMMON, text: STRING, button: STRING }
+    },
+    'interact': {
+        type: 'object',
+        required: ['type', 'instruction'],
+        properties: { ...STEP_COMMON, instruction: STRING }
+    },
+    'quiz': {
+        type: 'object',
+        required: ['type', 'quiz'],
+        properties: { ...STEP_COMMON, quiz: { type: 'object' } } // Checked per quiz type below
+    },
+    'notation': {
+        type: 'object',
+        required: ['type', 'formula'],
+        properties: {
+            ...STEP_COMMON,
+            text: STRING,
+            formula: STRING, // TeX with \bind{target}{...} and \val{key} (see assets/js/steps.js)
+            digits: { type: 'integer', minimum: 0 }, // For \val
+            button: STRING
+        }
+    }
+};
+
+// One of a lesson's `params` (see assets/js/params.js)
+const PARAM = {
+    oneOf: [
+        STRING, // Worked out from the params above it
+        {
+            type: 'object',
+            required: ['min', 'max'],
+            properties: { min: NUMBER, max: NUMBER, step: NUMBER }
+        },
+        {
+            type: 'object',
+            required: ['oneOf'],
+            properties: { oneOf: { type: 'array', minItems: 1, items: NUMBER_OR_STRING } }
+        }
+    ]
+};
+
+// How many seeds a lesson with `params` is tried out with by default. The app checks every
+// course it loads, so this stays small; validate-course.mjs asks for more.
+const SAMPLE_DRAWS = 20;
+
+// `instruction` and `quiz` are required unless the lesson has `steps` (checked in validateCourse)
+const LESSON_SCHEMA = {
+    type: 'object',
+    required: ['id', 'title', 'visualType', 'interactionConfig'],
+    properties: {
+        id: STRING,
+        title: STRING,
+        visualType: STRING,
+        instruction: STRING, // With `steps`, an optional introduction
+        hints: { type: 'array', minItems: 1, items: HINT }, // The hint ladder, gentlest first
+        interactionConfig: { type: 'object' }, // Checked per visualType below
+        quiz: { type: 'object' }, // Checked per quiz type below
+        steps: { type: 'array', minItems: 1 }, // Checked per step type below
+        params: { type: 'object' } // Makes the rest a template, checked per sample draw below
+    }
+};
+
+const CHAPTER_SCHEMA = {
+    type: 'object',
+    required: ['id', 'title', 'lessons'],
+    properties: {
+        id: STRING,
+        title: STRING,
+        icon: STRING,   // Name from assets/js/icons.js or an image path
+        topic: STRING,  // Tag shown on the dashboard card
+        summary: STRING, // Shown in the victory modal when the chapter is finished
+        lessons: { type: 'array', minItems: 1 } // Lessons are walked individually
+    }
+};
+
+const COURSE_SCHEMA = {
+    type: 'object',
+    required: ['course_title', 'chapters'],
+    properties: {
+        course_title: STRING,
+        widgets: { type: 'array', items: STRING }, // Extra widget modules (see widgets/registry.js)
+        chapters: { type: 'array', minItems: 1 }
+    }
+};
+
+const CATALOG_SCHEMA = {
+    type: 'object',
+    required: ['courses'],
+    properties: {
+        courses: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['id', 'title', 'file'],
+                properties: {
+                    id: STRING,
+                    title: STRING,
+                    description: STRING,
+                    icon: STRING,
+                    file: STRING
+                }
+            }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function describe(schema) {
+    if (schema.enum) return `one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`;
+    if (schema.oneOf) return schema.oneOf.map(describe).join(' or ');
+    if (schema.type === 'integer') return 'a whole number';
+    return /^[aeiou]/.test(schema.type) ? `an ${schema.type}` : `a ${schema.type}`;
+}
+
+/**
+ * Checks a value against a (small) schema, pushing problems into `problems`.
+ * Supports: type, nonEmpty, enum, oneOf, minimum, items, minItems, maxItems,
+ * required and properties. Unknown object keys produce warnings.
+ */
+function check(value, schema, path, problems) {
+    const error = (message) => problems.push({ severity: 'error', path, message });
+
+    if (schema.oneOf) {
+        const matches = schema.oneOf.some(option => {
+            const trial = [];
+            check(value, option, path, trial);
+            return !trial.some(p => p.severity === 'error');
+        });
+        if (!matches) error(`expected ${describe(schema)}, got ${JSON.stringify(value)}`);
+        return;
+    }
+
+    if (schema.enum) {
+        if (!schema.enum.includes(value)) error(`expected ${describe(schema)}, got ${JSON.stringify(value)}`);
+        return;
+    }
+
+    const actual = typeOf(value);
+    const expected = schema.type;
+    const typeOk = expected === 'integer'
+        ? Number.isInteger(value)
+        : actual === expected && !(expected === 'number' && !Number.isFinite(value));
+    if (!typeOk) {
+        error(`expected ${describe(schema)}, got ${actual === 'number' ? value : actual}`);
+        return;
+    }
+
+    if (schema.nonEmpty && value.trim() === '') error('must not be empty');
+    if (schema.minimum !== undefined && value < schema.minimum) error(`must be at least ${schema.minimum}`);
+
+    if (expected === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            error(`needs at least ${schema.minItems} item(s), has ${value.length}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            error(`allows at most ${schema.maxItems} item(s), has ${value.length}`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, problems));
+        }
+    }
+
+    if (expected === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) problems.push({ severity: 'error', path, message: `missing required "${key}"` });
+        }
+        if (schema.properties) {
+            for (const [key, child] of Object.entries(value)) {
+                const childPath = path ? `${path}.${key}` : key;
+                if (schema.properties[key]) {
+                    check(child, schema.properties[key], childPath, problems);
+                } else {
+                    problems.push({ severity: 'warning', path: childPath, message: 'unknown key (typo?)' });
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Wraps a problem list so every problem pushed through it is prefixed with a
+ * location such as `ch1_algebra > 1_2_variables`.
+ */
+function scoped(problems, location) {
+    return {
+        push: (problem) => problems.push({
+            ...problem,
+            path: [location, problem.path].filter(Boolean).join(' > ')
+        })
+    };
+}
+
+/**
+ * Cross-field checks the plain schema can't express.
+ */
+function checkQuiz(quiz, problems, path = 'quiz') {
+    const schema = QUIZ_SCHEMAS[quiz.type || 'single'];
+    if (!schema) {
+        check(quiz.type, QUIZ_COMMON.type, `${path}.type`, problems);
+        return;
+    }
+    check(quiz, schema, path, problems);
+
+    const optionCount = Array.isArray(quiz.options) ? quiz.options.length : 0;
+    const outOfRange = (where, index) => problems.push({
+        severity: 'error',
+        path: where,
+        message: `${index} is out of range (${optionCount} options, so 0-${optionCount - 1})`
+    });
+
+    if (optionCount > 0 && Number.isInteger(quiz.correctIndex) && quiz.correctIndex >= optionCount) {
+        outOfRange(`${path}.correctIndex`, quiz.correctIndex);
+    }
+
+    if (optionCount > 0 && Array.isArray(quiz.correctIndices)) {
+        quiz.correctIndices.forEach((index, i) => {
+            if (Number.isInteger(index) && index >= optionCount) outOfRange(`${path}.correctIndices[${i}]`, index);
+        });
+    }
+
+    if (optionCount > 0 && Array.isArray(quiz.failureHints) && quiz.failureHints.length !== optionCount) {
+        problems.push({
+            severity: 'error',
+            path: `${path}.failureHints`,
+            message: `has ${quiz.failureHints.length} hint(s) but there are ${optionCount} options`
+        });
+    }
+
+    // Expression answers must parse, or every learner would be marked wrong
+    if (quiz.type === 'expression' && typeof quiz.answer === 'string') {
+        const expressions = [[`${path}.answer`, quiz.answer]];
+        (Array.isArray(quiz.feedback) ? quiz.feedback : []).forEach((entry, i) => {
+            if (typeof entry?.expression === 'string') expressions.push([`${path}.feedback[${i}].expression`, entry.expression]);
+        });
+        const variables = Array.isArray(quiz.variables) ? quiz.variables : undefined;
+        for (const [where, source] of expressions) {
+            try {
+                parse(source, { variables });
+            } catch (error) {
+                problems.push({ severity: 'error', path: where, message: `can't be parsed: ${error.message}` });
+            }
+        }
+    }
+}
+
+/**
+ * Hints (the lesson's ladder and the quiz's feedback) can point at widget parts and
+ * carry a `scenario` for the widget to act out (see widgets/registry.js).
+ */
+function checkHints(lesson, widget, problems) {
+    const hints = [];
+    if (Array.isArray(lesson.hints)) lesson.hints.forEach((hint, i) => hints.push([`hints[${i}]`, hint]));
+    for (const [quizPath, quiz] of getQuizzes(lesson)) {
+        for (const key of ['failureHints', 'feedback']) {
+            if (Array.isArray(quiz[key])) quiz[key].forEach((hint, i) => hints.push([`${quizPath}.${key}[${i}]`, hint]));
+        }
+        for (const key of ['failureHint', 'missingHint']) hints.push([`${quizPath}.${key}`, quiz[key]]);
+    }
+
+    const targetNames = Object.keys(widget.highlightTargets || {});
+    for (const [path, hint] of hints) {
+        if (typeOf(hint) !== 'object') continue;
+
+        // Names keep courses working when a widget's markup changes; raw selectors still work
+        const target = typeOf(hint.highlight) === 'object' ? hint.highlight.target : hint.highlight;
+        if (typeof target === 'string' && targetNames.length > 0 && !targetNames.includes(target)) {
+            problems.push({
+                severity: 'warning',
+                path: `${path}.highlight`,
+                message: `"${target}" is not a named target of "${widget.type}" (known: ${targetNames.join(', ')})`
+            });
+        }
+
+        if (typeOf(hint.scenario) !== 'object') continue;
+        if (!widget.scenarioSchema) {
+            problems.push({ severity: 'error', path: `${path}.scenario`, message: `"${widget.type}" widgets can't show scenarios` });
+            continue;
+        }
+        check(hint.scenario, widget.scenarioSchema, `${path}.scenario`, problems);
+    }
+}
+
+/**
+ * [path, quiz] for the lesson's quiz and every quiz step.
+ */
+function getQuizzes(lesson) {
+    const quizzes = [];
+    if (typeOf(lesson.quiz) === 'object') quizzes.push(['quiz', lesson.quiz]);
+    getSteps(lesson).forEach((step, i) => {
+        if (typeOf(step?.quiz) === 'object') quizzes.push([`steps[${i}].quiz`, step.quiz]);
+    });
+    return quizzes;
+}
+
+function getSteps(lesson) {
+    return Array.isArray(lesson.steps) ? lesson.steps : [];
+}
+
+/**
+ * A multi-step lesson has steps instead of a single instruction and quiz.
+ */
+function checkSteps(lesson, problems) {
+    if (!Array.isArray(lesson.steps)) {
+        for (const key of ['instruction', 'quiz']) {
+            if (!(key in lesson)) problems.push({ severity: 'error', path: '', message: `missing required "${key}"` });
+        }
+        return;
+    }
+    if ('quiz' in lesson) {
+        problems.push({
+            severity: 'error',
+            path: 'quiz',
+            message: 'is not used by lessons with "steps"; add it as a { "type": "quiz", "quiz": ... } step'
+        });
+    }
+
+    lesson.steps.forEach((step, i) => {
+        const path = `steps[${i}]`;
+        if (typeOf(step) !== 'object') {
+            check(step, { type: 'object' }, path, problems);
+            return;
+        }
+        const schema = STEP_SCHEMAS[step.type];
+        if (!schema) {
+            check(step.type, STEP_COMMON.type, `${path}.type`, problems);
+            return;
+        }
+        check(step, schema, path, problems);
+    });
+}
+
+/**
+ * Notation formulas bind their parts to the widget's highlight targets.
+ */
+function checkNotation(lesson, widget, problems) {
+    const targetNames = Object.keys(widget.highlightTargets || {});
+    getSteps(lesson).forEach((step, i) => {
+        if (step?.type !== 'notation' || typeof step.formula !== 'string') return;
+        const path = `steps[${i}].formula`;
+
+        if (/\\bind(?!\{[\w-]+\}\{)/.test(step.formula)) {
+            problems.push({ severity: 'error', path, message: 'write \\bind{target}{TeX}, with a target name and a group' });
+        }
+        if (/\\val(?!\{\w+\})/.test(step.formula)) {
+            problems.push({ severity: 'error', path, message: 'write \\val{key}, naming a widget state value' });
+        }
+        for (const [, name] of step.formula.matchAll(/\\bind\{([\w-]+)\}/g)) {
+            if (targetNames.length > 0 && !targetNames.includes(name)) {
+                problems.push({
+                    severity: 'warning',
+                    path,
+                    message: `"${name}" is not a named target of "${widget.type}" (known: ${targetNames.join(', ')})`
+                });
+            }
+        }
+    });
+}
+
+function checkVisualConfig(lesson, problems) {
+    if (typeof lesson.visualType !== 'string') return;
+
+    const widget = getWidget(lesson.visualType);
+    if (!widget) {
+        problems.push({
+            severity: 'error',
+            path: 'visualType',
+            message: `unknown visualType "${lesson.visualType}" (known: ${getWidgetTypes().join(', ')})`
+        });
+        return;
+    }
+    checkHints(lesson, widget, problems);
+    checkNotation(lesson, widget, problems);
+    if (typeOf(lesson.interactionConfig) !== 'object') return;
+
+    if (widget.configSchema) check(lesson.interactionConfig, widget.configSchema, 'interactionConfig', problems);
+    const configErrors = (config) => (widget.checkConfig ? widget.checkConfig(config) : []);
+    const reported = new Set();
+    for (const { path, message } of configErrors(lesson.interactionConfig)) {
+        problems.push({ severity: 'error', path: `interactionConfig.${path}`, message });
+        reported.add(`${path}: ${message}`);
+    }
+
+    // Each step's config only lists what changes, so check the config as it stands after it
+    let config = lesson.interactionConfig;
+    getSteps(lesson).forEach((step, i) => {
+        if (typeOf(step?.config) !== 'object') return;
+        const path = `steps[${i}].config`;
+        if (widget.configSchema) check(step.config, { ...widget.configSchema, required: [] }, path, problems);
+
+        config = { ...config, ...step.config };
+        for (const error of configErrors(config)) {
+            if (reported.has(`${error.path}: ${error.message}`)) continue;
+            problems.push({ severity: 'error', path: `${path}.${error.path}`, message: error.message });
+            reported.add(`${error.path}: ${error.message}`);
+        }
+    });
+}
+
+function checkLesson(lesson, problems) {
+    check(lesson, LESSON_SCHEMA, '', problems);
+    checkSteps(lesson, problems);
+    for (const [path, quiz] of getQuizzes(lesson)) checkQuiz(quiz, problems, path);
+    checkVisualConfig(lesson, problems);
+}
+
+/**
+ * A lesson with `params` is checked the way learners will see it: drawn with seeds 0, 1, 2 ...
+ * (fixed, so every run reports the same problems). Each path is reported once, with the seed
+ * and values of the first draw that broke it, so the problem can be reproduced (.../problem/<seed>).
+ */
+function checkTemplate(lesson, problems, samples) {
+    const paramProblems = [];
+    check(lesson.params, { type: 'object' }, 'params', paramProblems);
+    if (typeOf(lesson.params) === 'object') {
+        for (const [name, spec] of Object.entries(lesson.params)) check(spec, PARAM, `params.${name}`, paramProblems);
+    }
+    paramProblems.forEach(problem => problems.push(problem));
+    if (paramProblems.some(problem => problem.severity === 'error')) return;
+
+    const reported = new Set();
+    for (let seed = 0; seed < samples; seed++) {
+        const found = [];
+        let draw = `seed ${seed}`; // A ParamError names the values it trips on itself
+        try {
+            const values = drawParams(lesson.params, seed);
+            checkLesson(instantiateLesson(lesson, seed), found);
+            draw = `seed ${seed}: ${describeValues(values)}`;
+        } catch (error) {
+            if (!(error instanceof ParamError)) throw error;
+            found.push({ severity: 'error', path: error.path, message: error.message });
+        }
+        for (const problem of found) {
+            const key = `${problem.severity} ${problem.path}`;
+            if (reported.has(key)) continue;
+            reported.add(key);
+            problems.push({ ...problem, message: `${problem.message} (with ${draw})` });
+        }
+    }
+}
+
+/**
+ * Validates a parsed course_data.json object.
+ * Paths use ids where available, e.g. `ch1_algebra > 1_2_variables > quiz.correctIndex`.
+ * visualTypes are checked against the widget registry, so register the built-ins
+ * (widgets/index.js) and the course's own `widgets` modules first.
+ * @param {object} course
+ * @param {{ samples?: number }} [options] - How many seeds each lesson with `params` is drawn with
+ * @returns {{ valid: boolean, errors: object[], warnings: object[] }}
+ */
+export function validateCourse(course, { samples = SAMPLE_DRAWS } = {}) {
+    const problems = [];
+
+    check(course, COURSE_SCHEMA, '', problems);
+    if (typeOf(course) !== 'object' || !Array.isArray(course.chapters)) {
+        return summarize(problems);
+    }
+
+    const chapterIds = new Map();
+    const lessonIds = new Map();
+
+    course.chapters.forEach((chapter, ci) => {
+        const chapterName = typeof chapter?.id === 'string' ? chapter.id : `chapters[${ci}]`;
+        const chapterProblems = scoped(problems, chapterName);
+        check(chapter, CHAPTER_SCHEMA, '', chapterProblems);
+        if (typeOf(chapter) !== 'object') return;
+
+        if (typeof chapter.id === 'string') {
+            if (chapterIds.has(chapter.id)) {
+                chapterProblems.push({
+                    severity: 'error',
+                    path: '',
+                    message: `duplicate chapter id (also used by chapters[${chapterIds.get(chapter.id)}])`
+                });
+            }
+            chapterIds.set(chapter.id, ci);
+        }
+
+        (Array.isArray(chapter.lessons) ? chapter.lessons : []).forEach((lesson, li) => {
+            const lessonName = typeof lesson?.id === 'string' ? lesson.id : `lessons[${li}]`;
+            const lessonProblems = scoped(problems, `${chapterName} > ${lessonName}`);
+            if (typeOf(lesson) !== 'object') {
+                check(lesson, LESSON_SCHEMA, '', lessonProblems);
+                return;
+            }
+
+            // Lesson ids must be unique across the whole course: progress and URLs rely on them
+            if (typeof lesson.id === 'string') {
+                if (lessonIds.has(lesson.id)) {
+                    lessonProblems.push({
+                        severity: 'error',
+                        path: '',
+                        message: `duplicate lesson id (also used in ${lessonIds.get(lesson.id)})`
+                    });
+                }
+                lessonIds.set(lesson.id, chapterName);
+            }
+
+            if (lesson.params === undefined) checkLesson(lesson, lessonProblems);
+            else checkTemplate(lesson, lessonProblems, samples);
+        });
+    });
+
+    return summarize(problems);
+}
+
+/**
+ * Validates a parsed data/catalog.json object (course ids must be unique,
+ * since progress and URLs are keyed by them).
+ * @returns {{ valid: boolean, errors: object[], warnings: object[] }}
+ */
+export function validateCatalog(catalog) {
+    const problems = [];
+    check(catalog, CATALOG_SCHEMA, '', problems);
+
+    const seen = new Set();
+    (Array.isArray(catalog?.courses) ? catalog.courses : []).forEach((course, i) => {
+        if (typeof course?.id !== 'string') return;
+        if (seen.has(course.id)) {
+            problems.push({ severity: 'error', path: `courses[${i}].id`, message: `duplicate course id "${course.id}"` });
+        }
+        seen.add(course.id);
+    });
+
+    return summarize(problems);
+}
+
+function summarize(problems) {
+    const errors = problems.filter(p => p.severity === 'error');
+    const warnings = problems.filter(p => p.severity === 'warning');
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * One line per problem, e.g. "ch1_algebra > 1_1_equality > quiz.correctIndex: 3 is out of range".
+ */
+export function formatProblem(problem) {
+    return problem.path ? `${problem.path}: ${problem.message}` : problem.message;
+}
+
+/**
+ * Thrown by the engine when a course fails validation, carrying every problem found.
+ */
+export class CourseValidationError extends Error {
+    constructor(source, errors) {
+        super(`${source} has ${errors.length} error(s)`);
+        this.name = 'CourseValidationError';
+        this.errors = errors;
+    }
+}
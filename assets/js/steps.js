@@ -0,0 +1,86 @@
+/**
+ * steps.js
+ * Step types for multi-step lessons. A lesson with `steps` shows them as cards in
+ * order; each card is appended to the lesson's stream once the one before it is done.
+ *
+ * Each type supplies:
+ *   render(step, widgetState)
+ *                     Markup for the card. `widgetState` is the widget's latest state.
+ *   completesOn       What finishes the step: "continue" (the card's Continue button),
+ *                     "goal" (the widget's goal, or a Continue button if it has none)
+ *                     or "answer" (a correct quiz answer).
+ *
+ * Any step may also carry `config`: keys merged into the widget's config as the step
+ * starts (see VisualManager.configure).
+ */
+
+import { getQuizType } from './quiz.js';
+import { renderMath, renderFormula } from './math.js';
+
+export const STEP_TYPES = {
+    /**
+     * { text, button? } An explanation; `button` relabels Continue.
+     */
+    'text': {
+        completesOn: 'continue',
+        render(step) {
+            return `<p class="step-text">${renderMath(step.text)}</p>`;
+        }
+    },
+
+    /**
+     * { instruction } Something to do with the widget, usually with a new goal in `config`.
+     */
+    'interact': {
+        completesOn: 'goal',
+        render(step) {
+            return `<p class="instruction">${renderMath(step.instruction)}</p>`;
+        }
+    },
+
+    /**
+     * { quiz } A question of any quiz type (see quiz.js).
+     */
+    'quiz': {
+        completesOn: 'answer',
+        render(step) {
+            return `
+                <div class="quiz-container" id="quiz-container">
+                    <h3>${renderMath(step.quiz.question)}</h3>
+                    ${getQuizType(step.quiz).render(step.quiz)}
+                    <div id="quiz-feedback" class="feedback-msg"></div>
+                </div>`;
+        }
+    },
+
+    /**
+     * { text?, formula, digits?, button? } The notation for what the learner just did.
+     * `formula` is TeX in which \bind{target}{...} ties a part to one of the widget's
+     * highlightTargets (hovering it points the part out) and \val{key} shows a value
+     * from the widget state, updated as the learner keeps dragging.
+     */
+    'notation': {
+        completesOn: 'continue',
+        render(step, widgetState) {
+            const digits = step.digits ?? 2;
+            return `
+                ${step.text ? `<p class="step-text">${renderMath(step.text)}</p>` : ''}
+                <div class="notation-formula" data-digits="${digits}">
+                    ${renderFormula(step.formula, widgetState, (value) => formatValue(value, digits))}
+                </div>`;
+        }
+    }
+};
+
+export function getStepType(step) {
+    return STEP_TYPES[step.type];
+}
+
+/**
+ * A widget state value as notation shows it: numbers rounded to `digits` places.
+ */
+export function formatValue(value, digits) {
+    if (typeof value !== 'number') return String(value);
+    const rounded = Number(value.toFixed(digits));
+    return String(rounded === 0 ? 0 : rounded); // No "-0"
+}
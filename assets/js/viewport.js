@@ -0,0 +1,305 @@
+/**
+ * viewport.js
+ * A rectangle of the widget SVG that shows part of the math plane. It converts between
+ * math and screen (SVG) coordinates, draws axes with ticks and labels (drawAxes), and
+ * can be panned and zoomed by the learner (enablePanZoom).
+ *
+ * Screen y points down, math y up. Widgets keep what they draw in math coordinates and
+ * redraw it from the viewport's onChange listeners when the view moves.
+ */
+
+const TARGET_TICKS = 10; // About this many labelled ticks per axis
+const MAX_ZOOM_IN = 1000; // Relative to the starting view
+const MAX_ZOOM_OUT = 20;
+const WHEEL_ZOOM = 0.002; // Zoom factor per wheel delta unit, as an exponent
+const KEY_ZOOM = 1.5;
+
+export class Viewport {
+    /**
+     * @param {{ box: { left: number, top: number, width: number, height: number },
+     *           xRange: [number, number], yRange: [number, number] }} options
+     */
+    constructor({ box, xRange, yRange }) {
+        this.box = box;
+        this.home = { xRange: [...xRange], yRange: [...yRange] };
+        this.listeners = [];
+        this.setRanges(xRange, yRange);
+
+        // Passed around on their own (visuals.curvePath(f, a, b, view.toScreen))
+        this.toScreen = this.toScreen.bind(this);
+        this.toMath = this.toMath.bind(this);
+    }
+
+    setRanges([xMin, xMax], [yMin, yMax]) {
+        Object.assign(this, { xMin, xMax, yMin, yMax });
+        this.xScale = this.box.width / (xMax - xMin); // px per unit
+        this.yScale = this.box.height / (yMax - yMin);
+    }
+
+    toScreen(x, y) {
+        return {
+            px: this.box.left + (x - this.xMin) * this.xScale,
+            py: this.box.top + (this.yMax - y) * this.yScale
+        };
+    }
+
+    toMath(px, py) {
+        return {
+            x: this.xMin + (px - this.box.left) / this.xScale,
+            y: this.yMax - (py - this.box.top) / this.yScale
+        };
+    }
+
+    contains(x, y) {
+        return x >= this.xMin && x <= this.xMax && y >= this.yMin && y <= this.yMax;
+    }
+
+    /**
+     * Whether a screen point is inside the box.
+     */
+    containsScreen(px, py) {
+        const { left, top, width, height } = this.box;
+        return px >= left && px <= left + width && py >= top && py <= top + height;
+    }
+
+    /**
+     * Moves the plane by a screen distance, as if dragged along with the pointer.
+     */
+    pan(dpx, dpy) {
+        const dx = dpx / this.xScale;
+        const dy = dpy / this.yScale;
+        this.setRanges([this.xMin - dx, this.xMax - dx], [this.yMin + dy, this.yMax + dy]);
+        this.notify();
+    }
+
+    /**
+     * Zooms in by `factor` (below 1 zooms out) around a screen point, which stays put;
+     * with `to`, the math under `at` ends up under `to` instead (a pinch that also moves).
+     * Stops at MAX_ZOOM_IN / MAX_ZOOM_OUT times the starting view.
+     */
+    zoom(factor, at = this.center(), to = at) {
+        const homeSpan = this.home.xRange[1] - this.home.xRange[0];
+        const span = (this.xMax - this.xMin) / factor;
+        const clamped = Math.min(homeSpan * MAX_ZOOM_OUT, Math.max(homeSpan / MAX_ZOOM_IN, span));
+        const k = clamped / (this.xMax - this.xMin); // How much wider the view gets
+
+        const anchor = this.toMath(at.px, at.py);
+        const xRange = [anchor.x + (this.xMin - anchor.x) * k, anchor.x + (this.xMax - anchor.x) * k];
+        const yRange = [anchor.y + (this.yMin - anchor.y) * k, anchor.y + (this.yMax - anchor.y) * k];
+        this.setRanges(xRange, yRange);
+        if (to !== at) {
+            this.pan(to.px - at.px, to.py - at.py);
+            return;
+        }
+        this.notify();
+    }
+
+    center() {
+        return { px: this.box.left + this.box.width / 2, py: this.box.top + this.box.height / 2 };
+    }
+
+    reset() {
+        this.setRanges(this.home.xRange, this.home.yRange);
+        this.notify();
+    }
+
+    isHome() {
+        const same = (a, b) => Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a));
+        return same(this.xMin, this.home.xRange[0]) && same(this.xMax, this.home.xRange[1]) &&
+            same(this.yMin, this.home.yRange[0]) && same(this.yMax, this.home.yRange[1]);
+    }
+
+    /**
+     * @param {(view: Viewport) => void} listener - Called after every pan, zoom and reset
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * The spacing of grid lines (or tick marks) along an axis: `preferred` (a config's
+     * `tick`) while it gives a sensible number of them, otherwise a round step that
+     * gives about TARGET_TICKS.
+     */
+    tickStep(axis, preferred) {
+        const span = axis === 'x' ? this.xMax - this.xMin : this.yMax - this.yMin;
+        if (preferred && span / preferred >= 2 && span / preferred <= TARGET_TICKS * 5) return preferred;
+        return niceStep(span / TARGET_TICKS);
+    }
+}
+
+/**
+ * The round number (1, 2 or 5 times a power of ten) at or above `raw`.
+ */
+export function niceStep(raw) {
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const mantissa = raw / power;
+    return (mantissa <= 1 ? 1 : mantissa <= 2 ? 2 : mantissa <= 5 ? 5 : 10) * power;
+}
+
+/**
+ * Multiples of step in [min, max], computed from an index so they don't drift (0.1 * 3).
+ */
+export function ticks(min, max, step) {
+    const values = [];
+    for (let i = Math.ceil(min / step - 1e-9); i * step <= max + 1e-9; i++) {
+        values.push(Math.round(i * step * 1e9) / 1e9);
+    }
+    return values;
+}
+
+/**
+ * Draws (or redraws) the axes into `group`: at zero when it is in view, otherwise
+ * along the box's edge, with labelled ticks thinned out to about TARGET_TICKS per axis.
+ * @param {{ tick?: number, grid?: boolean, ids?: { x?: string, y?: string } }} [options]
+ *        `grid` draws a line across the box at every tick instead of a short mark;
+ *        `ids` are given to the axis lines (for highlightTargets).
+ */
+export function drawAxes(visuals, view, group, { tick, grid = false, ids = {} } = {}) {
+    group.innerHTML = '';
+    const { left, top, width, height } = view.box;
+    const line = (attrs) => group.appendChild(visuals.createSVGElement('line', attrs));
+
+    const zeroX = view.xMin <= 0 && view.xMax >= 0;
+    const zeroY = view.yMin <= 0 && view.yMax >= 0;
+    const origin = view.toScreen(
+        Math.min(view.xMax, Math.max(view.xMin, 0)),
+        Math.min(view.yMax, Math.max(view.yMin, 0))
+    );
+    const xStep = view.tickStep('x', tick);
+    const yStep = view.tickStep('y', tick);
+    const xTicks = ticks(view.xMin, view.xMax, xStep);
+    const yTicks = ticks(view.yMin, view.yMax, yStep);
+
+    // Grid lines or tick marks
+    for (const x of xTicks) {
+        const { px } = view.toScreen(x, 0);
+        line(grid
+            ? { x1: px, y1: top, x2: px, y2: top + height, stroke: "#d1d5db", "stroke-width": 1 }
+            : { x1: px, y1: origin.py - 6, x2: px, y2: origin.py + 6, stroke: "#374151", "stroke-width": 2 });
+    }
+    for (const y of yTicks) {
+        const { py } = view.toScreen(0, y);
+        line(grid
+            ? { x1: left, y1: py, x2: left + width, y2: py, stroke: "#d1d5db", "stroke-width": 1 }
+            : { x1: origin.px - 6, y1: py, x2: origin.px + 6, y2: py, stroke: "#374151", "stroke-width": 2 });
+    }
+
+    // Axes (Bold)
+    const yAxis = line({ x1: origin.px, y1: top, x2: origin.px, y2: top + height, stroke: "#374151", "stroke-width": 3 });
+    const xAxis = line({ x1: left, y1: origin.py, x2: left + width, y2: origin.py, stroke: "#374151", "stroke-width": 3 });
+    if (ids.y) yAxis.setAttribute('id', ids.y);
+    if (ids.x) xAxis.setAttribute('id', ids.x);
+
+    // Labels. Where the axes cross at the origin one "0" serves both.
+    const label = (x, y, text, anchor) => {
+        const el = visuals.createSVGElement('text', {
+            x, y, "font-size": "18px", fill: "#6b7280", "text-anchor": anchor, "pointer-events": "none"
+        });
+        el.textContent = text;
+        group.appendChild(el);
+    };
+    const labelStep = (step, span) => step * Math.max(1, Math.ceil(span / step / TARGET_TICKS));
+    const atOrigin = zeroX && zeroY;
+    for (const x of ticks(view.xMin, view.xMax, labelStep(xStep, view.xMax - view.xMin))) {
+        if (!(atOrigin && x === 0)) label(view.toScreen(x, 0).px, origin.py + 24, visuals.formatNumber(x), "middle");
+    }
+    for (const y of ticks(view.yMin, view.yMax, labelStep(yStep, view.yMax - view.yMin))) {
+        if (!(atOrigin && y === 0)) label(origin.px - 8, view.toScreen(0, y).py + 6, visuals.formatNumber(y), "end");
+    }
+    if (atOrigin) label(origin.px - 8, origin.py + 24, "0", "end");
+}
+
+/**
+ * Lets the learner move the view: drag the background to pan, pinch with two fingers
+ * or use the mouse wheel to zoom, and + / - / 0 while a widget part has focus. A
+ * "Reset view" button shows while the view is off its start. Everything is undone
+ * when the widget is replaced.
+ */
+export function enablePanZoom(visuals, view) {
+    const svg = visuals.svg;
+    const pointers = new Map(); // pointerId -> last position, in SVG coordinates
+    const toScreen = (evt) => {
+        const { x, y } = visuals.drag.toSVGPoint(evt);
+        return { px: x, py: y };
+    };
+
+    const resetButton = visuals.createButton(view.box.left + view.box.width - 150, view.box.top + 10, 140,
+        "Reset view", () => view.reset());
+    resetButton.style.display = 'none';
+    svg.appendChild(resetButton);
+    view.onChange(() => {
+        resetButton.style.display = view.isHome() ? 'none' : '';
+    });
+
+    visuals.listen('pointerdown', (evt) => {
+        // Draggables, buttons and form fields keep their own pointer handling
+        if (evt.target.closest('.draggable, .svg-button, foreignObject')) return;
+        const point = toScreen(evt);
+        if (!view.containsScreen(point.px, point.py) || pointers.size >= 2) return;
+
+        pointers.set(evt.pointerId, point);
+        try {
+            svg.setPointerCapture(evt.pointerId);
+        } catch (error) {
+            // The pointer is already gone
+        }
+        svg.classList.add('panning');
+    });
+
+    visuals.listen('pointermove', (evt) => {
+        const last = pointers.get(evt.pointerId);
+        if (!last) return;
+        evt.preventDefault();
+        const point = toScreen(evt);
+
+        const other = [...pointers].find(([id]) => id !== evt.pointerId);
+        if (!other) {
+            view.pan(point.px - last.px, point.py - last.py);
+        } else {
+            // Pinch: zoom by the change in the fingers' distance, around (and along with) their midpoint
+            const fixed = other[1];
+            const distance = (a) => Math.hypot(a.px - fixed.px, a.py - fixed.py);
+            const middle = (a) => ({ px: (a.px + fixed.px) / 2, py: (a.py + fixed.py) / 2 });
+            if (distance(last) > 0) view.zoom(distance(point) / distance(last), middle(last), middle(point));
+        }
+        pointers.set(evt.pointerId, point);
+    });
+
+    const release = (evt) => {
+        pointers.delete(evt.pointerId);
+        if (pointers.size === 0) svg.classList.remove('panning');
+    };
+    visuals.listen('pointerup', release);
+    visuals.listen('pointercancel', release);
+
+    visuals.listen('wheel', (evt) => {
+        const point = toScreen(evt);
+        if (!view.containsScreen(point.px, point.py)) return;
+        evt.preventDefault(); // Zoom the plot, not the page
+        view.zoom(Math.exp(-evt.deltaY * WHEEL_ZOOM), point);
+    }, { passive: false });
+
+    visuals.listen('keydown', (evt) => {
+        if (!evt.target.closest('.draggable') || evt.altKey || evt.ctrlKey || evt.metaKey) return;
+        // Zoom around the focused part when it is in the box
+        const { x, y } = visuals.getTranslate(evt.target.closest('.draggable').getAttribute('transform'));
+        const at = view.containsScreen(x, y) ? { px: x, py: y } : view.center();
+        const actions = {
+            '+': () => view.zoom(KEY_ZOOM, at),
+            '=': () => view.zoom(KEY_ZOOM, at),
+            '-': () => view.zoom(1 / KEY_ZOOM, at),
+            '0': () => view.reset()
+        };
+        if (!actions[evt.key]) return;
+        evt.preventDefault();
+        actions[evt.key]();
+    });
+
+    svg.classList.add('zoomable');
+    visuals.onUnmount(() => svg.classList.remove('zoomable', 'panning'));
+}
@@ -1,412 +1,360 @@
 /**
  * visuals.js
  * Handles SVG rendering and manipulation for MathFlow widgets.
+ * Listens for lesson events on the EventBus and reports widget state back through it.
+ *
+ * The widgets themselves live in assets/js/widgets/ and are looked up in the widget
+ * registry by visualType. Widget code receives this VisualManager as `visuals` and
+ * uses its shared helpers: svg, config, local, dropZones, widgetState,
+ * createSVGElement, createDraggableWeight, createButton, setButtonEnabled,
+ * setWidgetState, getTranslate, animate, timeline, animateMove, animateScenario,
+ * formatNumber, curvePath, announce, listen and onUnmount. Dragging (see drag.js) is
+ * attached for every widget it renders; graph widgets map coordinates with a Viewport
+ * (see viewport.js). Animations (see animation.js) stop when the widget is replaced.
+ *
+ * Every draggable can also be worked from the keyboard: it is focusable, and its
+ * keyboard strategy (see getKeyboardStrategy) turns keys into moves. What changed is
+ * read out through the #visual-status live region.
+ *
+ * Wrong quiz answers can put the widget into a "scenario" (see showScenario). While one
+ * is showing, state changes are not reported, and the learner's own state comes back
+ * with the restore button, their next drag, or a correct answer.
  */
 
-export class VisualManager {
-    constructor() {
-        this.svg = document.getElementById('main-svg');
-        this.dropZones = []; // Generic drop zones
-    }
+import { EVENTS } from './events.js';
+import { DragController } from './drag.js';
+import { Animator } from './animation.js';
+import { getWidget } from './widgets/registry.js';
+import './widgets/index.js';
 
-    render(type, config) {
-        this.svg.innerHTML = ''; // Clear canvas
-        this.dropZones = []; // Reset drop zones
-        this.currentVisualType = type; // Store type for interaction handlers
+/**
+ * Used for draggables the widget has no strategy for: follow the pointer, then
+ * hand the element to the drop zone it was released over (zone.onDrop), or put it
+ * back where it was picked up.
+ */
+const DEFAULT_DRAG_STRATEGY = {
+    onDrag: (visuals, el, x, y) => {
+        el.setAttributeNS(null, "transform", `translate(${x}, ${y})`);
+    },
+    onEnd: (visuals, el) => {
+        const zone = visuals.drag.findDropZone(visuals.getTranslate(el.getAttributeNS(null, "transform")));
+        if (!zone) return returnDraggable(visuals, el);
+        if (zone.onDrop) zone.onDrop(visuals, el, zone);
+    },
+    onCancel: (visuals, el) => returnDraggable(visuals, el)
+};
+
+function returnDraggable(visuals, el) {
+    visuals.drag.returnToStart(el);
+    const widget = visuals.widget;
+    if (widget && widget.onDropMissed) widget.onDropMissed(visuals, el);
+}
 
-        switch (type) {
-            case 'balance_scale_simple':
-                this.renderBalanceScale(config);
-                break;
-            case 'function_machine':
-                this.renderFunctionMachine(config);
-                break;
-            case 'coordinate_grid':
-                if (this.renderGrid) this.renderGrid(config);
-                break;
-            case 'unit_circle':
-                if (this.renderUnitCircle) this.renderUnitCircle(config);
-                break;
-            case 'slope_scanner':
-                if (this.renderSlopeScanner) this.renderSlopeScanner(config);
-                break;
-            case 'riemann_sum':
-                if (this.renderRiemannSum) this.renderRiemannSum(config);
-                break;
-            default:
-                console.warn(`Unknown visual type: ${type}`);
-        }
+/**
+ * Keyboard counterpart of DEFAULT_DRAG_STRATEGY: Enter or Space drops the element on
+ * the first drop zone, the Left and Right arrows on the leftmost and rightmost ones.
+ */
+const DEFAULT_KEYBOARD_STRATEGY = {
+    label: (visuals, el) => {
+        const name = el.dataset.name || el.textContent.trim() || "Item";
+        const zones = visuals.dropZones;
+        const zoneName = (zone) => zone.label || zone.id;
+        if (zones.length === 0) return name;
+        if (zones.length === 1) return `${name}. Press Enter to drop it on ${zoneName(zones[0])}.`;
+        const byX = zonesByX(visuals);
+        return `${name}. Press Enter to drop it on ${zoneName(zones[0])}, or the Left and Right arrow keys ` +
+            `for ${zoneName(byX[0])} and ${zoneName(byX.at(-1))}.`;
+    },
+    onKey: (visuals, el, key) => {
+        const byX = zonesByX(visuals);
+        const zone = { 'Enter': visuals.dropZones[0], ' ': visuals.dropZones[0], 'ArrowLeft': byX[0], 'ArrowRight': byX.at(-1) }[key];
+        if (!zone) return false;
+
+        // Put it down in the middle of the zone, as if it had been dragged there
+        const center = visuals.drag.zoneCenter(zone);
+        visuals.drag.remember(el);
+        el.setAttributeNS(null, "transform", `translate(${center.x}, ${center.y})`);
+        const strategy = visuals.getDragStrategy(el);
+        if (strategy.onEnd) strategy.onEnd(visuals, el);
+        return true;
     }
+};
 
-    /**
-     * Renders a Function Machine.
-     * Config: { rule: string, inputs: number[], animationSpeed: string }
-     */
-    renderFunctionMachine(config) {
-        // 1. Input Box (Left) - Drop Zone
-        const inputBox = this.createSVGElement('rect', {
-            x: 100, y: 400, width: 100, height: 100,
-            fill: "#e5e7eb", rx: 10, stroke: "#9ca3af", "stroke-width": 2
-        });
-        this.svg.appendChild(inputBox);
-        this.dropZones.push({
-            id: 'input-box', x: 100, y: 400, width: 100, height: 100,
-            type: 'function_input', targetVal: 'input'
-        });
+function zonesByX(visuals) {
+    const x = (zone) => visuals.drag.zoneCenter(zone).x;
+    return [...visuals.dropZones].sort((a, b) => x(a) - x(b));
+}
 
-        // 2. Machine Body (Center) with Rule Text
-        const machine = this.createSVGElement('rect', {
-            x: 400, y: 350, width: 200, height: 200,
-            fill: "#3b82f6", rx: 20
-        });
-        this.svg.appendChild(machine);
+const ANNOUNCE_DELAY = 250; // ms without changes before the live region is updated
 
-        const ruleText = this.createSVGElement('text', {
-            x: 500, y: 450, "text-anchor": "middle", "dominant-baseline": "middle",
-            fill: "white", "font-size": "32px", "font-weight": "bold",
-            "font-family": "monospace"
-        });
-        ruleText.textContent = config.rule || "f(x)";
-        this.svg.appendChild(ruleText);
+/**
+ * How a highlighted widget part is drawn. Each style marks `el` and returns a
+ * function that undoes it.
+ */
+const HIGHLIGHT_STYLES = {
+    // Thick yellow outline
+    flash: (visuals, el) => {
+        const originalStroke = el.getAttribute('stroke');
+        const originalWidth = el.getAttribute('stroke-width');
+        el.setAttribute('stroke', '#facc15'); // Yellow warning color
+        el.setAttribute('stroke-width', '8');
+        return () => {
+            restoreAttribute(el, 'stroke', originalStroke);
+            restoreAttribute(el, 'stroke-width', originalWidth);
+        };
+    },
+    // Glows on and off (see .highlight-pulse)
+    pulse: (visuals, el) => {
+        el.classList.add('highlight-pulse');
+        return () => el.classList.remove('highlight-pulse');
+    },
+    // Fades out everything except the element and the groups it sits in
+    dim: (visuals, el) => {
+        const dimmed = [];
+        for (let node = el; node !== visuals.svg && node.parentNode; node = node.parentNode) {
+            for (const sibling of node.parentNode.children) {
+                if (sibling === node) continue;
+                sibling.classList.add('highlight-dimmed');
+                dimmed.push(sibling);
+            }
+        }
+        return () => dimmed.forEach(node => node.classList.remove('highlight-dimmed'));
+    },
+    // An arrow pointing at the element, with an optional label
+    callout: (visuals, el, text) => {
+        const callout = visuals.createCallout(visuals.getSVGBox(el), text);
+        visuals.svg.appendChild(callout);
+        return () => callout.remove();
+    }
+};
 
-        // 3. Output Box (Right)
-        const outputBox = this.createSVGElement('rect', {
-            x: 800, y: 400, width: 100, height: 100,
-            fill: "#e5e7eb", rx: 10, stroke: "#9ca3af", "stroke-width": 2
-        });
-        this.svg.appendChild(outputBox);
+const HIGHLIGHT_DURATIONS = { flash: 1000, pulse: 3000, dim: 3000, callout: 4000 }; // ms
 
-        // 4. Connecting Pipes
-        const pipe1 = this.createSVGElement('line', {
-            x1: 200, y1: 450, x2: 400, y2: 450,
-            stroke: "#6b7280", "stroke-width": 10
-        });
-        this.svg.appendChild(pipe1);
+function restoreAttribute(el, name, value) {
+    if (value === null) el.removeAttribute(name);
+    else el.setAttribute(name, value);
+}
 
-        const pipe2 = this.createSVGElement('line', {
-            x1: 600, y1: 450, x2: 800, y2: 450,
-            stroke: "#6b7280", "stroke-width": 10
+export class VisualManager {
+    /**
+     * @param {import('./events.js').EventBus} bus
+     */
+    constructor(bus) {
+        this.bus = bus;
+        this.svg = document.getElementById('main-svg');
+        this.status = document.getElementById('visual-status'); // aria-live region for announce()
+        this.dropZones = []; // Generic drop zones: { id, x, y, width, height, el?, label?, onDrop(visuals, el, zone) }
+        this.drag = new DragController(this);
+        this.animator = new Animator();
+        this.scenarioAnimation = null; // The timeline acting out the current scenario
+        this.unmountCallbacks = []; // Undo what the mounted widget set up (see onUnmount)
+        this.scenario = null; // { state } saved while a scenario is showing
+        this.activeHighlight = null; // Undoes the current highlight
+        this.announcement = ''; // Waiting for the live region
+        this.announceTimer = null;
+
+        this.svg.addEventListener('keydown', (evt) => this.handleKey(evt));
+
+        this.bus.on(EVENTS.LESSON_ENTER, ({ lesson }) => this.render(lesson.visualType, lesson.interactionConfig));
+        this.bus.on(EVENTS.VISUAL_HIGHLIGHT, ({ target, ...options }) => {
+            if (target === null) this.clearHighlight();
+            else this.highlightElement(target, options);
         });
-        this.svg.appendChild(pipe2);
-
-        // 5. Input Items (Draggable)
-        // Just showing one static input for now that "could" be dragged
-        const inputItem = this.createDraggableWeight(130, 430, config.inputs ? config.inputs[0] : 2);
-        this.svg.appendChild(inputItem);
-
-        this.makeDraggable();
+        this.bus.on(EVENTS.VISUAL_SCENARIO, ({ visualType, value }) => this.showScenario(visualType, value));
+        this.bus.on(EVENTS.VISUAL_RESTORE, () => this.restoreScenario());
+        this.bus.on(EVENTS.VISUAL_CONFIGURE, ({ config }) => this.configure(config));
+        this.bus.on(EVENTS.VISUAL_CLEAR, () => this.unmount());
     }
 
     /**
-     * Renders the Unit Circle for Trigonometry.
-     * Config: { showSine: boolean, showCosine: boolean }
+     * Takes the mounted widget down and empties the canvas. render() starts with this.
      */
-    renderUnitCircle(config) {
-        // 1. Axes/Grid Background
-        const centerX = 500;
-        const centerY = 500;
-        const radius = 200;
-
-        // Background Grid (Optional usually, but helpful)
-        this.svg.appendChild(this.createSVGElement('rect', {
-            x: 100, y: 100, width: 800, height: 800, fill: "#f8fafc"
-        }));
-
-        this.svg.appendChild(this.createSVGElement('line', {
-            x1: 500, y1: 100, x2: 500, y2: 900, stroke: "#9ca3af", "stroke-width": 1
-        }));
-        this.svg.appendChild(this.createSVGElement('line', {
-            x1: 100, y1: 500, x2: 900, y2: 500, stroke: "#9ca3af", "stroke-width": 1
-        }));
-
-        // The Circle
-        this.svg.appendChild(this.createSVGElement('circle', {
-            cx: centerX, cy: centerY, r: radius,
-            fill: "none", stroke: "#374151", "stroke-width": 3
-        }));
-
-        // 2. The Draggable Handle (The Point on Circle)
-        // Start at 0 degrees (Right) -> (700, 500)
-        const handleGroup = this.createSVGElement('g', {
-            class: 'draggable', id: 'trig-handle',
-            transform: `translate(${centerX + radius}, ${centerY})`
-        });
-
-        handleGroup.appendChild(this.createSVGElement('circle', {
-            r: 15, fill: "#ef4444", stroke: "white", "stroke-width": 3
-        }));
-        this.svg.appendChild(handleGroup);
-
-        // 3. Projections (Sine/Cosine lines)
-        // Groups to hold them so we can update
-        const projectionGroup = this.createSVGElement('g', { id: 'trig-projections' });
-        this.svg.appendChild(projectionGroup);
-
-        // Initialize projection lines (hidden or at start pos)
-        const sinLine = this.createSVGElement('line', {
-            id: 'sin-line', x1: 700, y1: 500, x2: 700, y2: 500,
-            stroke: "#3b82f6", "stroke-width": 4
-        }); // Blue for Sine (Height)
-
-        const cosLine = this.createSVGElement('line', {
-            id: 'cos-line', x1: 500, y1: 500, x2: 700, y2: 500,
-            stroke: "#10b981", "stroke-width": 4
-        }); // Green for Cosine (Width)
-
-        if (config.showSine) projectionGroup.appendChild(sinLine);
-        if (config.showCosine) projectionGroup.appendChild(cosLine);
-
-        // Labels
-        const infoText = this.createSVGElement('text', {
-            x: 800, y: 150, "font-size": "24px", fill: "#374151", id: 'trig-info'
-        });
-        infoText.textContent = "Drag the dot";
-        this.svg.appendChild(infoText);
-
-        this.makeDraggable();
+    unmount() {
+        this.clearHighlight();
+        this.drag.detach();
+        this.animator.cancelAll();
+        this.unmountCallbacks.splice(0).forEach(callback => callback());
+        this.svg.innerHTML = ''; // Clear canvas
+        this.dropZones = []; // Reset drop zones
+        this.currentVisualType = null;
+        this.widget = null;
+        this.config = {};
+        this.local = {};
+        this.widgetState = {};
+        this.goalReached = false;
+        this.scenario = null;
+        this.setRestoreButton(false);
+        this.announce('');
     }
 
-    // ... (helper methods like handleUnitCircleDrag) ...
-
-    handleUnitCircleDrag(element, rawX, rawY) {
-        // Constrain to circle radius=200, center=500,500
-        const centerX = 500;
-        const centerY = 500;
-        const radius = 200;
+    render(type, config) {
+        this.unmount();
+        this.currentVisualType = type; // Store type for interaction handlers
+        this.widget = getWidget(type);
+        this.config = config || {};
+        this.local = {}; // Scratch space for the mounted widget (compiled formulas, scales, ...)
+
+        if (this.widget) {
+            this.widget.render(this, this.config);
+        } else {
+            console.warn(`Unknown visual type: ${type}`);
+        }
+        this.drag.attach();
+        this.svg.setAttribute('role', 'group');
+        this.svg.setAttribute('aria-label', (this.widget && this.widget.label) || "Interactive diagram");
+        this.updateAccessibility();
 
-        // Calculate angle from center
-        const dx = rawX - centerX;
-        const dy = rawY - centerY;
-        let theta = Math.atan2(dy, dx); // radians
+        this.bus.emit(EVENTS.WIDGET_MOUNTED, { visualType: type, hasGoal: this.hasGoal() });
+    }
 
-        // Constrain Position
-        const x = centerX + radius * Math.cos(theta);
-        const y = centerY + radius * Math.sin(theta);
+    /**
+     * Changes part of the mounted widget's config (a lesson step's `config`). When the
+     * widget lists every changed key in `liveConfig`, it keeps its SVG and the learner's
+     * work and applies the change in `configure`; otherwise it is rendered afresh.
+     * The goal starts over either way, and may be met straight away.
+     */
+    configure(patch) {
+        if (!this.widget) return;
+        const changed = Object.keys(patch).filter(key => JSON.stringify(patch[key]) !== JSON.stringify(this.config[key]));
+        const config = { ...this.config, ...patch };
+
+        const live = this.widget.liveConfig || [];
+        if (!changed.every(key => live.includes(key))) {
+            this.render(this.currentVisualType, config);
+            return;
+        }
 
-        element.setAttributeNS(null, "transform", `translate(${x}, ${y})`);
+        this.restoreScenario();
+        this.clearHighlight();
+        this.config = config;
+        this.goalReached = false;
+        this.bus.emit(EVENTS.WIDGET_CONFIGURED, { visualType: this.currentVisualType, hasGoal: this.hasGoal() });
 
-        // Update Projections
-        this.updateTrigProjections(x, y, theta);
+        if (changed.length > 0 && this.widget.configure) this.widget.configure(this, config, changed);
+        this.updateAccessibility();
+        this.checkGoal();
     }
 
-    updateTrigProjections(x, y, theta) {
-        const sinLine = document.getElementById('sin-line');
-        const cosLine = document.getElementById('cos-line');
-        const info = document.getElementById('trig-info');
-
-        // Center is 500, 500
-        // Sin line: Vertical line from point (x,y) down to x-axis (x, 500)
-        // Wait, standard unit circle visual:
-        // Sine is vertical distance from x-axis. So line from (x,y) to (x, 500).
-        if (sinLine) {
-            sinLine.setAttribute('x1', x);
-            sinLine.setAttribute('y1', y);
-            sinLine.setAttribute('x2', x);
-            sinLine.setAttribute('y2', 500);
-        }
+    /**
+     * Whether the current widget has a goal the learner must reach before the quiz.
+     */
+    hasGoal() {
+        const goal = this.widget && this.widget.goal;
+        return !!(goal && goal.hasGoal(this.config));
+    }
 
-        // Cosine is horizontal distance from y-axis. Line from (x,y) to (500, y).
-        // OR typically from origin (500,500) to (x, 500) along the axis.
-        // Let's do the triangle style: Origin->(x,500) and (x,500)->(x,y).
-        if (cosLine) {
-            cosLine.setAttribute('x1', 500);
-            cosLine.setAttribute('y1', 500);
-            cosLine.setAttribute('x2', x);
-            cosLine.setAttribute('y2', 500); // Project onto x-axis
+    /**
+     * Widgets call this whenever the learner changes something.
+     * Merges the patch into the widget state and reports the goal the first time it is met.
+     */
+    setWidgetState(patch) {
+        // A scenario is only a demonstration, not the learner's work
+        if (this.scenario) return;
+
+        Object.assign(this.widgetState, patch);
+        this.bus.emit(EVENTS.WIDGET_STATE_CHANGED, { visualType: this.currentVisualType, state: { ...this.widgetState } });
+        if (this.widget && this.widget.announce) {
+            const message = this.widget.announce(this, this.widgetState, patch);
+            if (message) this.announce(message);
         }
+        this.updateAccessibility();
+        this.checkGoal();
+    }
 
-        if (info) {
-            // Convert to degrees for display, -Math.sin because SVG y is down
-            // Actually, let's keep it simple.
-            // Standard math: y is up. SVG: y is down.
-            // So sin(theta) in math = - ((y - 500) / 200)
-            const mathSin = -((y - 500) / 200);
-            const degrees = Math.round((-theta * 180 / Math.PI)); // Negate for math convention? 
-            // atan2(y, x). if y>0 (below center), theta is positive. 
-            // In math, below center is negative angle (usually).
-            // Let's just show raw Sin value.
-
-            info.textContent = `Sin: ${mathSin.toFixed(2)}`;
+    /**
+     * Reports the goal the first time the widget state meets it.
+     */
+    checkGoal() {
+        if (this.goalReached || !this.hasGoal()) return;
+
+        if (this.widget.goal.isMet(this.config, this.widgetState)) {
+            this.goalReached = true;
+            // After whatever change reached it, if that hasn't been read out yet
+            const before = this.announcement ? `${this.announcement.replace(/\.$/, '')}. ` : '';
+            this.announce(`${before}Goal reached.`);
+            this.bus.emit(EVENTS.WIDGET_GOAL_REACHED, { visualType: this.currentVisualType, state: { ...this.widgetState } });
         }
     }
-    renderGrid(config) {
-        // 1. Grid Lines
-        const gridSize = 50;
-        const centerX = 500;
-        const centerY = 500;
-        const width = 800;
-        const height = 800; // use a box centered at 500,500
-
-        // Background
-        this.svg.appendChild(this.createSVGElement('rect', {
-            x: 100, y: 100, width: width, height: height, fill: "#f3f4f6"
-        }));
 
-        // Lines
-        for (let i = 100; i <= 900; i += gridSize) {
-            // Vertical
-            this.svg.appendChild(this.createSVGElement('line', {
-                x1: i, y1: 100, x2: i, y2: 900, stroke: "#d1d5db", "stroke-width": 1
-            }));
-            // Horizontal
-            this.svg.appendChild(this.createSVGElement('line', {
-                x1: 100, y1: i, x2: 900, y2: i, stroke: "#d1d5db", "stroke-width": 1
-            }));
+    /**
+     * Reads a message out to screen readers (through the #visual-status live region)
+     * once changes have paused for a moment, so a drag isn't read out frame by frame.
+     */
+    announce(message) {
+        this.announcement = message;
+        clearTimeout(this.announceTimer);
+        if (!this.status) return;
+        if (message === '') {
+            this.status.textContent = '';
+            return;
         }
-
-        // Axes (Bold)
-        // Y-Axis
-        this.svg.appendChild(this.createSVGElement('line', {
-            x1: centerX, y1: 100, x2: centerX, y2: 900, stroke: "#374151", "stroke-width": 3
-        }));
-        // X-Axis
-        this.svg.appendChild(this.createSVGElement('line', {
-            x1: 100, y1: centerY, x2: 900, y2: centerY, stroke: "#374151", "stroke-width": 3
-        }));
-
-        // Labels (Simple)
-        const origin = this.createSVGElement('text', {
-            x: centerX - 20, y: centerY + 30, "font-size": "20px", fill: "#374151"
-        });
-        origin.textContent = "(0,0)";
-        this.svg.appendChild(origin);
-
-        // 2. Draggable Point (The "Blue Dot")
-        // Start at 0,0 (500, 500)
-        // Target: (3, 2). Grid unit = 50px.
-        // Target Pixel: 500 + 3*50 = 650, 500 - 2*50 = 400.
-
-        const pointGroup = this.createSVGElement('g', {
-            class: 'draggable',
-            transform: `translate(500, 500)`, // Start at origin
-            id: 'grid-point'
-        });
-
-        pointGroup.appendChild(this.createSVGElement('circle', {
-            cx: 0, cy: 0, r: 15, fill: "#3b82f6", stroke: "white", "stroke-width": 3
-        }));
-
-        // Coordinate Label
-        const label = this.createSVGElement('text', {
-            x: 20, y: -20, "font-size": "24px", fill: "#3b82f6", "font-weight": "bold",
-            "pointer-events": "none", id: 'coord-label'
-        });
-        label.textContent = "(0, 0)";
-        pointGroup.appendChild(label);
-
-        this.svg.appendChild(pointGroup);
-
-        this.makeDraggable();
+        this.announceTimer = setTimeout(() => {
+            this.status.textContent = this.announcement;
+            this.announcement = '';
+        }, ANNOUNCE_DELAY);
     }
 
     /**
-     * Renders a basic balance scale.
-     * Config: { leftWeight: number|string, rightWeight: number, target: "equal"|"isolate" }
+     * Makes every draggable focusable and gives it the name (and, for sliders, the
+     * value) its keyboard strategy describes. Runs after each render and state change.
      */
-    renderBalanceScale(config) {
-        // 1. Draw Static Base
-        const base = this.createSVGElement('path', {
-            d: "M 450 800 L 550 800 L 500 400 Z",
-            class: "scale-base"
-        });
-        this.svg.appendChild(base);
-
-        // 2. Draw Beam Group (pivot at 500, 400)
-        const beamGroup = this.createSVGElement('g', {
-            id: 'scale-beam-group',
-            class: 'scale-beam'
-        });
-
-        // Beam bar
-        const beam = this.createSVGElement('rect', {
-            x: 100, y: 395, width: 800, height: 10, rx: 5, fill: "#374151"
-        });
-        beamGroup.appendChild(beam);
-
-        // Plates (hanging from beam)
-        // Left Plate Group (Drop Zone 1)
-        const leftPlate = this.createPlateGroup(150, 400, config.leftWeight, 'left-plate');
-        beamGroup.appendChild(leftPlate);
-
-        // Right Plate Group (Drop Zone 2)
-        const rightPlate = this.createPlateGroup(850, 400, config.rightWeight, 'right-plate');
-        beamGroup.appendChild(rightPlate);
-
-        // Register Drop Zones (Approximation for rotating plates)
-        // For MVP, we use generous static bounding boxes around where plates generally are.
-        this.dropZones.push({
-            id: 'left-plate', x: 90, y: 400, width: 120, height: 400,
-            type: 'scale_plate', targetVal: 'left'
-        });
-        this.dropZones.push({
-            id: 'right-plate', x: 790, y: 400, width: 120, height: 400,
-            type: 'scale_plate', targetVal: 'right'
-        });
-
-        this.svg.appendChild(beamGroup);
-
-        // 3. Weight Bank (Draggable Items) - Simplified for now
-        // We'll create a "Bank" area at the bottom for new weights
-        const bankGroup = this.createSVGElement('g', { id: 'weight-bank' });
-
-        // Example draggable weights
-        const draggableWeight = this.createDraggableWeight(500, 900, 3);
-        bankGroup.appendChild(draggableWeight);
-
-        this.svg.appendChild(bankGroup);
-
-        // Calculate Rotation based on weights
-        const lVal = this.parseWeight(config.leftWeight);
-        const rVal = this.parseWeight(config.rightWeight);
-        this.updateBeamRotation(lVal, rVal);
+    updateAccessibility() {
+        for (const el of this.svg.querySelectorAll('.draggable, [data-keyboard]')) {
+            if (!el.classList.contains('draggable')) {
+                // No longer draggable (e.g. a number on its way through the function machine)
+                ['tabindex', 'role', 'aria-label', 'aria-valuenow', 'aria-valuemin', 'aria-valuemax', 'aria-valuetext', 'data-keyboard']
+                    .forEach(name => el.removeAttribute(name));
+                continue;
+            }
 
-        // Enable global drag handler
-        this.makeDraggable();
+            const strategy = this.getKeyboardStrategy(el);
+            const value = strategy.value ? strategy.value(this, el) : null;
+            el.setAttribute('data-keyboard', '');
+            el.setAttribute('tabindex', '0');
+            el.setAttribute('role', value ? 'slider' : 'button');
+            el.setAttribute('aria-label', strategy.label(this, el));
+            if (value) {
+                el.setAttribute('aria-valuenow', value.now);
+                el.setAttribute('aria-valuemin', value.min);
+                el.setAttribute('aria-valuemax', value.max);
+                el.setAttribute('aria-valuetext', value.text);
+            }
+        }
     }
 
-    createPlateGroup(x, yAnchor, weightValue, id) {
-        const group = this.createSVGElement('g', { id: id });
+    /**
+     * Keys on the focused widget part: Enter or Space presses an SVG button, anything
+     * else goes to the focused draggable's keyboard strategy.
+     */
+    handleKey(evt) {
+        const button = evt.target.closest('.svg-button');
+        if (button && (evt.key === 'Enter' || evt.key === ' ')) {
+            evt.preventDefault();
+            button.dispatchEvent(new MouseEvent('click'));
+            return;
+        }
 
-        // String/Chain
-        group.appendChild(this.createSVGElement('line', {
-            x1: x, y1: yAnchor, x2: x, y2: yAnchor + 200,
-            stroke: "#9ca3af", "stroke-width": 4
-        }));
+        const el = evt.target.closest('.draggable');
+        if (!el || evt.altKey || evt.ctrlKey || evt.metaKey) return;
 
-        // Plate (Drop Zone)
-        const plate = this.createSVGElement('rect', {
-            x: x - 60, y: yAnchor + 200, width: 120, height: 10, fill: "#374151",
-            class: "plate-rect"
-        });
-        group.appendChild(plate);
-
-        // Visual Weight Representation
-        if (weightValue) {
-            const isBox = typeof weightValue === 'string' && weightValue.includes("box");
-            if (isBox) {
-                // Draw Box
-                group.appendChild(this.createSVGElement('rect', {
-                    x: x - 30, y: yAnchor + 140, width: 60, height: 60,
-                    class: "weight-block weight-box"
-                }));
-                // If it's "box+2", maybe draw extra blocks? Simplified for now.
-            } else {
-                // Draw Number Block
-                group.appendChild(this.createSVGElement('rect', {
-                    x: x - 30, y: yAnchor + 140, width: 60, height: 60,
-                    fill: "#f59e0b", class: "weight-block"
-                }));
-                const text = this.createSVGElement('text', {
-                    x: x, y: yAnchor + 170, "text-anchor": "middle",
-                    fill: "white", "font-size": "24px", "font-weight": "bold",
-                    "pointer-events": "none"
-                });
-                text.textContent = weightValue;
-                group.appendChild(text);
+        // The first key press during a scenario just brings the learner's own state back, like a grab
+        if (this.scenario) {
+            if (evt.key !== 'Tab') {
+                evt.preventDefault();
+                this.restoreScenario();
             }
+            return;
         }
 
-        return group;
+        if (!this.getKeyboardStrategy(el).onKey(this, el, evt.key)) return;
+        evt.preventDefault();
+        this.updateAccessibility();
+
+        // Dropped somewhere it can't be picked up again (or the last of its kind): move on
+        if (!el.classList.contains('draggable') || el.style.display === 'none') {
+            const next = [...this.svg.querySelectorAll('.draggable')].find(other => other.style.display !== 'none');
+            if (next) next.focus();
+        }
     }
 
     createDraggableWeight(x, y, val) {
@@ -433,29 +381,42 @@ export class VisualManager {
         return group;
     }
 
-    updateBeamRotation(left, right) {
-        const beamGroup = document.getElementById('scale-beam-group');
-        if (!beamGroup) return;
-
-        let angle = 0;
-        if (left > right) angle = -20;
-        else if (right > left) angle = 20;
+    /**
+     * A clickable SVG button (50px tall) at (x, y). Clicks are ignored while the
+     * button has the `disabled` class; see setButtonEnabled.
+     */
+    createButton(x, y, width, label, onClick) {
+        const button = this.createSVGElement('g', {
+            class: 'svg-button', transform: `translate(${x}, ${y})`, role: 'button', tabindex: 0
+        });
+        button.appendChild(this.createSVGElement('rect', {
+            x: 0, y: 0, width: width, height: 50, rx: 10,
+            fill: "white", stroke: "#374151", "stroke-width": 2
+        }));
+        const text = this.createSVGElement('text', {
+            x: width / 2, y: 26, "text-anchor": "middle", "dominant-baseline": "middle",
+            "font-size": "22px", "font-weight": "bold", fill: "#374151", "pointer-events": "none"
+        });
+        text.textContent = label;
+        button.appendChild(text);
+        button.addEventListener('click', () => {
+            if (this.scenario) return this.restoreScenario();
+            if (!button.classList.contains('disabled')) onClick();
+        });
+        return button;
+    }
 
-        // Apply rotation around pivot (500, 400)
-        // transform-origin is set in CSS, but explicit transform here
-        // We use template literal for transform string
-        beamGroup.style.transform = `rotate(${angle}deg)`;
+    setButtonEnabled(button, enabled) {
+        if (!button) return;
+        button.classList.toggle('disabled', !enabled);
+        button.setAttribute('aria-disabled', String(!enabled));
     }
 
-    parseWeight(val) {
-        if (typeof val === 'number') return val;
-        // simplistic parsing for "box+2" -> assuming box=x.
-        // For static rendering, we might just assume 0 for box?
-        // or parse int.
-        // For this demo: parsing "box+2" -> return 2 (assuming box is weightless?? No, box is heavy)
-        // Let's just strip non-numeric
-        const num = parseFloat(val);
-        return isNaN(num) ? 0 : num; // Default to 0 if unknown
+    /**
+     * Short display form for computed values (3.0000000001 -> "3").
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 1e4) / 1e4);
     }
 
     createSVGElement(tag, attrs) {
@@ -466,552 +427,237 @@ export class VisualManager {
         return msg;
     }
 
-    makeDraggable() {
-        // Define Drag Strategies
-        const DRAG_STRATEGIES = {
-            'grid-point': {
-                onDrag: (visuals, el, x, y) => {
-                    // Grid Logic: Update Label live
-                    // Calculate Grid Coordinates
-                    // Origin: 500, 500. Grid: 50px.
-                    const gridX = Math.round((x - 500) / 50);
-                    const gridY = Math.round((500 - y) / 50);
-
-                    const label = el.querySelector('#coord-label');
-                    if (label) label.textContent = `(${gridX}, ${gridY})`;
-
-                    // Allow standard drag but maybe snap later?
-                    // For live drag, we usually just follow mouse or snap.
-                    // The original code moved the element to x,y then snapped on end.
-                    // So here we just move it.
-                    el.setAttributeNS(null, "transform", `translate(${x}, ${y})`);
-                },
-                onEnd: (visuals, el) => {
-                    const transform = el.getAttributeNS(null, "transform");
-                    const pos = visuals.getTranslate(transform);
-
-                    // Grid Logic: Snap to nearest grid intersection
-                    const gridX = Math.round((pos.x - 500) / 50);
-                    const gridY = Math.round((500 - pos.y) / 50);
-
-                    const snapX = 500 + (gridX * 50);
-                    const snapY = 500 - (gridY * 50);
-
-                    el.setAttributeNS(null, "transform", `translate(${snapX}, ${snapY})`);
-
-                    // Visual Feedback for Target (3, 2)
-                    if (gridX === 3 && gridY === 2) {
-                        el.querySelector('circle').setAttribute('fill', '#22c55e');
-                    } else {
-                        el.querySelector('circle').setAttribute('fill', '#3b82f6');
-                    }
-                }
-            },
-            'trig-handle': {
-                onDrag: (visuals, el, x, y) => {
-                    // Critical Fix: Call the Unit Circle constraint logic
-                    visuals.handleUnitCircleDrag(el, x, y);
-                },
-                onEnd: (visuals, el) => {
-                    // No specific end logic, stays on circle
-                }
-            },
-            'slope-scanner': {
-                onDrag: (visuals, el, x, y) => {
-                    visuals.handleSlopeScannerDrag(el, x, y);
-                },
-                onEnd: (visuals, el) => {
-                    // No specific end logic, stays on curve
-                }
-            },
-            'riemann-slider': {
-                onDrag: (visuals, el, x, y) => {
-                    visuals.handleRiemannSliderDrag(el, x, y);
-                },
-                onEnd: (visuals, el) => {
-                    // Check for success condition (N >= 50) ? 
-                    // Let's just do it in drag or let engine check.
-                }
-            },
-            'default': {
-                onDrag: (visuals, el, x, y) => {
-                    el.setAttributeNS(null, "transform", `translate(${x}, ${y})`);
-                },
-                onEnd: (visuals, el) => {
-                    const transform = el.getAttributeNS(null, "transform");
-                    const pos = visuals.getTranslate(transform);
-
-                    // Check Collisions with Drop Zones (for Balance Scale / Machine)
-                    let droppedZone = null;
-                    for (const zone of visuals.dropZones) {
-                        if (pos.x >= zone.x && pos.x <= zone.x + zone.width &&
-                            pos.y >= zone.y && pos.y <= zone.y + zone.height) {
-                            droppedZone = zone;
-                            break;
-                        }
-                    }
-
-                    if (droppedZone) {
-                        console.log("Dropped in zone:", droppedZone.id);
-
-                        if (droppedZone.type === 'scale_plate') {
-                            // Snap to plate center (approx)
-                            el.setAttributeNS(null, "transform", `translate(${droppedZone.x + 60}, ${droppedZone.y + 170})`);
-
-                            // Trigger Logic
-                            if (droppedZone.targetVal === 'right' && el.dataset.val == "3") {
-                                visuals.updateBeamRotation(5, 5); // Balance!
-                            }
-                        } else if (droppedZone.type === 'function_input') {
-                            // Snap to input box
-                            el.setAttributeNS(null, "transform", `translate(${droppedZone.x + 50}, ${droppedZone.y + 50})`);
-
-                            // Trigger Animation if implemented
-                            if (visuals.animateProcess) {
-                                visuals.animateProcess(el, "+ 2"); // Hardcoded rule for now
-                            }
-                        }
-                    } else {
-                        // Reset to bank/start (simplified)
-                        // In a real app, store original pos on startDrag
-                        el.setAttributeNS(null, "transform", `translate(500, 900)`);
-                    }
-                }
-            }
-        };
-
-        let selectedElement = null;
-        let offset = { x: 0, y: 0 };
-
-        const startDrag = (evt) => {
-            if (evt.target.parentNode.classList.contains('draggable')) {
-                selectedElement = evt.target.parentNode;
-
-                // Get mouse position relative to SVG
-                const CTM = this.svg.getScreenCTM();
-                if (evt.touches) {
-                    evt = evt.touches[0];
-                }
-                offset.x = (evt.clientX - CTM.e) / CTM.a;
-                offset.y = (evt.clientY - CTM.f) / CTM.d;
-
-                // Get initial translation
-                const transform = selectedElement.getAttributeNS(null, "transform");
-                if (transform) {
-                    const translate = this.getTranslate(transform);
-                    offset.x -= translate.x;
-                    offset.y -= translate.y;
-                }
-            }
-        };
-
-        const drag = (evt) => {
-            if (selectedElement) {
-                evt.preventDefault();
-                if (evt.touches) { evt = evt.touches[0]; }
-
-                const CTM = this.svg.getScreenCTM();
-                const x = (evt.clientX - CTM.e) / CTM.a - offset.x;
-                const y = (evt.clientY - CTM.f) / CTM.d - offset.y;
-
-                // Execute Strategy
-                const strategy = DRAG_STRATEGIES[selectedElement.id] || DRAG_STRATEGIES['default'];
-                if (strategy && strategy.onDrag) {
-                    strategy.onDrag(this, selectedElement, x, y);
-                }
-            }
-        };
-
-        const endDrag = (evt) => {
-            if (selectedElement) {
-                const strategy = DRAG_STRATEGIES[selectedElement.id] || DRAG_STRATEGIES['default'];
-                if (strategy && strategy.onEnd) {
-                    strategy.onEnd(this, selectedElement);
-                }
-                selectedElement = null;
-            }
-        };
-
-        // Note: In a production app, use named handlers to removeEventListeners correctly.
-        // For this artifact, we rely on the fact that SVG content is often regenerated.
-        this.svg.onmousedown = startDrag;
-        this.svg.onmousemove = drag;
-        this.svg.onmouseup = endDrag;
-
-        this.svg.ontouchstart = startDrag;
-        this.svg.ontouchmove = drag;
-        this.svg.addEventListener('touchend', endDrag);
+    /**
+     * The mounted widget's strategy for a draggable (keyed by element id), or the shared drop-zone one.
+     */
+    getDragStrategy(el) {
+        const strategies = (this.widget && this.widget.dragStrategies) || {};
+        return strategies[el.id] || strategies['default'] || DEFAULT_DRAG_STRATEGY;
     }
 
     /**
-     * Renders the Slope Scanner (Calculus).
-     * Config: { function: "parabola" }
+     * Like getDragStrategy, from the widget's keyboardStrategies.
      */
-    renderSlopeScanner(config) {
-        // 1. Grid/Axes
-        // Origin: 500, 800. Scale: 1 unit = 100px.
-        // Y-axis up to 200 (6 units). X-axis 200 to 800 (-3 to 3).
-
-        // Axes
-        this.svg.appendChild(this.createSVGElement('line', {
-            x1: 500, y1: 200, x2: 500, y2: 800, stroke: "#374151", "stroke-width": 3
-        }));
-        this.svg.appendChild(this.createSVGElement('line', {
-            x1: 200, y1: 800, x2: 800, y2: 800, stroke: "#374151", "stroke-width": 3
-        }));
-
-        // Function Curve y = x^2
-        // Generate path data
-        let pathD = "M ";
-        for (let ix = -3; ix <= 3; ix += 0.1) {
-            const px = 500 + ix * 100;
-            const py = 800 - (ix * ix) * 100;
-            pathD += `${px} ${py} L `;
-        }
-        pathD = pathD.slice(0, -3); // Remove last L
-
-        this.svg.appendChild(this.createSVGElement('path', {
-            d: pathD, fill: "none", stroke: "#3b82f6", "stroke-width": 4
-        }));
-
-        // 2. Tangent Line (Dynamic)
-        // Group to hold tangent
-        const tangentGroup = this.createSVGElement('g', { id: 'tangent-group' });
-        const tangentLine = this.createSVGElement('line', {
-            id: 'tangent-line', x1: 0, y1: 0, x2: 0, y2: 0,
-            stroke: "#ef4444", "stroke-width": 2, "stroke-dasharray": "5,5"
-        });
-        tangentGroup.appendChild(tangentLine);
-        this.svg.appendChild(tangentGroup);
-
-        // 3. Scanner Tool (Draggable)
-        // Start at x=0 (500, 800)
-        const scannerGroup = this.createSVGElement('g', {
-            class: 'draggable', id: 'slope-scanner',
-            transform: `translate(500, 800)`
-        });
-
-        // Magnifying glass look
-        scannerGroup.appendChild(this.createSVGElement('circle', {
-            r: 30, fill: "rgba(255,255,255,0.5)", stroke: "#374151", "stroke-width": 3
-        }));
-        scannerGroup.appendChild(this.createSVGElement('circle', {
-            r: 4, fill: "#374151" // Center dot
-        }));
-
-        // Slope Readout
-        const readout = this.createSVGElement('text', {
-            x: 40, y: -40, "font-size": "24px", fill: "#374151", "font-weight": "bold",
-            id: 'slope-readout'
-        });
-        readout.textContent = "Slope: 0.0";
-        scannerGroup.appendChild(readout);
-
-        this.svg.appendChild(scannerGroup);
-
-        // Ensure to call makeDraggable at end
-        this.makeDraggable();
+    getKeyboardStrategy(el) {
+        const strategies = (this.widget && this.widget.keyboardStrategies) || {};
+        return strategies[el.id] || strategies['default'] || DEFAULT_KEYBOARD_STRATEGY;
     }
 
     /**
-     * Renders Riemann Sum Integration visual.
-     * Config: { function: "x^2/10", range: [0, 10] }
+     * Runs `callback` when the mounted widget is replaced (the next render).
      */
-    renderRiemannSum(config) {
-        // 1. Axes
-        // Origin: 100, 800. 
-        // X-axis: 0 to 10 (scale 80px per unit -> 800px width).
-        // Y-axis: 0 to 10 (scale 60px per unit -> 600px height).
-
-        this.svg.appendChild(this.createSVGElement('line', {
-            x1: 100, y1: 800, x2: 900, y2: 800, stroke: "#374151", "stroke-width": 3
-        }));
-        this.svg.appendChild(this.createSVGElement('line', {
-            x1: 100, y1: 200, x2: 100, y2: 800, stroke: "#374151", "stroke-width": 3
-        }));
+    onUnmount(callback) {
+        this.unmountCallbacks.push(callback);
+    }
 
-        // 2. The Curve y = x^2 / 10
-        // f(x) = x^2 / 10. Max at x=10 is 100/10=10.
-        // Screen X = 100 + x*80
-        // Screen Y = 800 - y*60
+    /**
+     * Adds an event listener to the SVG for as long as the mounted widget stays.
+     */
+    listen(type, listener, options) {
+        this.svg.addEventListener(type, listener, options);
+        this.onUnmount(() => this.svg.removeEventListener(type, listener, options));
+    }
 
-        let pathD = "M ";
-        for (let ix = 0; ix <= 10; ix += 0.1) {
-            const px = 100 + ix * 80;
-            const py = 800 - (Math.pow(ix, 2) / 10) * 60;
-            pathD += `${px} ${py} L `;
+    /**
+     * SVG path data for y = f(x) on [from, to]. The path breaks where f is undefined
+     * (1/x at 0, sqrt of a negative) instead of drawing a line across the gap.
+     * @param {(x: number) => number} f
+     * @param {(x: number, y: number) => { px: number, py: number }} toScreen
+     */
+    curvePath(f, from, to, toScreen, steps = 120) {
+        let pathD = '';
+        let penDown = false;
+        for (let i = 0; i <= steps; i++) {
+            const x = from + (to - from) * i / steps;
+            const y = f(x);
+            if (!Number.isFinite(y)) {
+                penDown = false;
+                continue;
+            }
+            const { px, py } = toScreen(x, y);
+            pathD += `${penDown ? 'L' : 'M'} ${px} ${py} `;
+            penDown = true;
         }
-        pathD = pathD.slice(0, -3);
-
-        this.svg.appendChild(this.createSVGElement('path', {
-            d: pathD, fill: "none", stroke: "#3b82f6", "stroke-width": 4
-        }));
-
-        // 3. Rectangle Container
-        const rectGroup = this.createSVGElement('g', { id: 'riemann-rects' });
-        this.svg.appendChild(rectGroup);
-
-        // 4. Slider Control (N)
-        // Slider Line
-        this.svg.appendChild(this.createSVGElement('line', {
-            x1: 300, y1: 100, x2: 700, y2: 100, stroke: "#9ca3af", "stroke-width": 4, "stroke-linecap": "round"
-        }));
+        return pathD.trim();
+    }
 
-        // Slider Handle
-        // Range 2 to 50. Line Length 400px.
-        // Start at N=2 (Left side) -> x=300.
-        const sliderGroup = this.createSVGElement('g', {
-            class: 'draggable', id: 'riemann-slider',
-            transform: `translate(300, 100)`,
-            'data-n': 2
-        });
+    /**
+     * Tweens an element's properties (see animation.js).
+     * @param {Element} element
+     * @param {Object} to - { translate?: { x, y }, rotate?: degrees, [attribute]: number }
+     * @param {{ duration?: number, easing?: string|Function, delay?: number }} [options]
+     * @returns {Promise<boolean>} true when it finished, false if it was cancelled
+     */
+    animate(element, to, options) {
+        return this.animator.tween(element, to, options);
+    }
 
-        sliderGroup.appendChild(this.createSVGElement('circle', {
-            r: 15, fill: "#f59e0b", stroke: "white", "stroke-width": 3
-        }));
+    /**
+     * A timeline to build up and play(); see animation.js.
+     */
+    timeline() {
+        return this.animator.timeline();
+    }
 
-        // Label above slider
-        const label = this.createSVGElement('text', {
-            x: 0, y: -25, "text-anchor": "middle", "font-size": "20px", fill: "#374151",
-            "font-weight": "bold", id: 'slider-label'
+    /**
+     * Slides an element from `from` to `to`. onComplete is skipped if it is cancelled.
+     */
+    animateMove(element, from, to, duration, onComplete) {
+        element.setAttribute('transform', `translate(${from.x}, ${from.y})`);
+        return this.animate(element, { translate: to }, { duration }).then(completed => {
+            if (completed && onComplete) onComplete();
+            return completed;
         });
-        label.textContent = "N = 2";
-        sliderGroup.appendChild(label);
-
-        this.svg.appendChild(sliderGroup);
-
-        // Initial Render of Rects
-        this.updateRiemannRects(2);
-
-        this.makeDraggable();
     }
 
-    updateRiemannRects(n) {
-        const group = document.getElementById('riemann-rects');
-        if (!group) return;
-        group.innerHTML = '';
-
-        // Domain [0, 10]
-        const width = 10; // units
-        const dx = width / n;
-
-        for (let i = 0; i < n; i++) {
-            // Left Riemann Sum
-            const xVal = i * dx;
-            const yVal = Math.pow(xVal, 2) / 10;
-
-            // Screen Coords
-            // x start = 100 + xVal * 80
-            // width = dx * 80 - 1 (gap)
-            // height = yVal * 60
-            // y start = 800 - height
-
-            const rectX = 100 + xVal * 80;
-            const rectW = dx * 80 - 1;
-            const rectH = yVal * 60;
-            const rectY = 800 - rectH;
-
-            if (rectH > 0) {
-                group.appendChild(this.createSVGElement('rect', {
-                    x: rectX, y: rectY, width: Math.max(1, rectW), height: rectH,
-                    fill: "rgba(59, 130, 246, 0.3)", stroke: "#2563eb", "stroke-width": 1
-                }));
-            }
-        }
+    /**
+     * Eases a scenario in over `duration` ms: onFrame(t) is called with t going 0 -> 1.
+     * Stops as soon as the scenario is restored or replaced.
+     * @returns {Promise<boolean>} See animate
+     */
+    animateScenario(onFrame, duration = 600) {
+        if (this.scenarioAnimation) this.scenarioAnimation.cancel();
+        this.scenarioAnimation = this.timeline().run(onFrame, { duration });
+        return this.scenarioAnimation.play();
     }
 
-    handleRiemannSliderDrag(element, rawX, rawY) {
-        // Constrain to slider line: y=100, x=[300, 700]
-        const y = 100;
-        let x = rawX;
-        if (x < 300) x = 300;
-        if (x > 700) x = 700;
-
-        element.setAttributeNS(null, "transform", `translate(${x}, ${y})`);
-
-        // Calculate N
-        // 300->2, 700->50
-        // Percent = (x - 300) / 400
-        const percent = (x - 300) / 400;
-        const n = Math.round(2 + percent * 48); // 2 to 50
-
-        // Update Label
-        const label = element.querySelector('#slider-label');
-        if (label) label.textContent = `N = ${n}`;
-
-        // Update Rects (Throttling would be good but JS is fast enough for 50 SVG rects)
-        if (element.dataset.n != n) {
-            this.updateRiemannRects(n);
-            element.dataset.n = n;
+    /**
+     * Acts out a wrong answer on the widget (e.g., for feedback), keeping the
+     * learner's state so restoreScenario can bring it back.
+     * @param {string} visualType
+     * @param {any} value - A hint's scenario object, or the learner's wrong answer
+     */
+    showScenario(visualType, value) {
+        const widget = getWidget(visualType);
+        if (!widget || !widget.showScenario || visualType !== this.currentVisualType) return;
+
+        // One scenario at a time, always starting from the learner's own state
+        this.restoreScenario();
+        this.scenario = { state: structuredClone(this.widgetState) };
+        if (widget.showScenario(this, value) === false) {
+            this.scenario = null; // Nothing to show for this value
+            return;
         }
+        this.setRestoreButton(true);
     }
 
-    handleSlopeScannerDrag(element, rawX, rawY) {
-        // Constrain to Parabola y = x^2
-        // Origin: 500, 800. Scale: 100px.
-        // Map rawX to mathX
-        let mathX = (rawX - 500) / 100;
-
-        // Clamp X to visible range [-3, 3]
-        if (mathX < -3) mathX = -3;
-        if (mathX > 3) mathX = 3;
-
-        const mathY = mathX * mathX;
-
-        // Map back to screen
-        const screenX = 500 + mathX * 100;
-        const screenY = 800 - mathY * 100;
-
-        element.setAttributeNS(null, "transform", `translate(${screenX}, ${screenY})`);
-
-        // Calculate Slope and Update Tangent
-        // Slope m = 2x
-        const m = 2 * mathX;
-
-        // Update Readout
-        const readout = element.querySelector('#slope-readout');
-        if (readout) readout.textContent = `Slope: ${m.toFixed(1)}`;
-
-        // Draw Tangent Line
-        // Line through (screenX, screenY) with slope m (math slope).
-        // Screen slope = -m (because Y up is negative).
-        // Length of line? Let's say +/- 100px in X direction.
-
-        // Point 1: x - 1, y - m (in math coords) -> screen coords
-        // Delta X = 1 unit (100px). Delta Y = m units (m*100 px).
-        // Left Point: (screenX - 100, screenY + m*100)
-        // Right Point: (screenX + 100, screenY - m*100)
+    restoreScenario() {
+        const scenario = this.scenario;
+        if (!scenario) return;
+        this.scenario = null;
+        if (this.scenarioAnimation) this.scenarioAnimation.cancel();
+        this.scenarioAnimation = null;
+        this.setRestoreButton(false);
+        if (this.widget && this.widget.restoreState) this.widget.restoreState(this, scenario.state);
+    }
 
-        const tanLine = document.getElementById('tangent-line');
-        if (tanLine) {
-            tanLine.setAttribute('x1', screenX - 100);
-            tanLine.setAttribute('y1', screenY + m * 100);
-            tanLine.setAttribute('x2', screenX + 100);
-            tanLine.setAttribute('y2', screenY - m * 100);
-        }
+    setRestoreButton(visible) {
+        const overlay = document.getElementById('visual-feedback');
+        if (!overlay) return;
+        overlay.innerHTML = '';
+        if (!visible) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'scenario-restore';
+        button.textContent = "↺ Back to my work";
+        button.addEventListener('click', () => this.restoreScenario());
+        overlay.appendChild(button);
     }
 
     /**
-     * Animates an item passing through the Function Machine.
-     * @param {SVGElement} itemGroup - The draggable group element
-     * @param {string} rule - The rule to apply (e.g., "+ 2")
+     * Draws attention to part of the widget for a while.
+     * @param {string} id - One of the widget's highlightTargets names (or a selector / element id)
+     * @param {{ style?: "flash"|"pulse"|"dim"|"callout", text?: string, duration?: number }} [options]
+     *        `text` labels a callout; `duration` (ms) defaults per style. With `Infinity` the
+     *        highlight stays until the next one, or until clearHighlight().
      */
-    animateProcess(itemGroup, rule) {
-        // Disable interaction
-        itemGroup.classList.remove('draggable');
-
-        // 1. Move to Center (Processing)
-        const startTransform = itemGroup.getAttribute('transform');
-        const startPos = this.getTranslate(startTransform);
-        const centerPos = { x: 470, y: 420 }; // Roughly center of machine rect (400,350 to 600,550)
-
-        // Simple linear interpolation animation function
-        this.animateMove(itemGroup, startPos, centerPos, 500, () => {
-            // 2. Transform Logic (Center Stage)
-            // Update text content based on rule
-            const textEl = itemGroup.querySelector('text');
-            const currentVal = parseInt(itemGroup.dataset.val);
-            let newVal = currentVal;
-
-            // Very basic rule parsing
-            if (rule.includes("+")) {
-                newVal += parseInt(rule.split('+')[1]);
-            } else if (rule.includes("*")) {
-                newVal *= parseInt(rule.split('*')[1]);
-            }
-
-            // Update Visual
-            textEl.textContent = newVal;
-            itemGroup.dataset.val = newVal;
-
-            // Optional: visual "pop" or color change
-            itemGroup.querySelector('rect').setAttribute('fill', '#22c55e'); // Green
-
-            // 3. Move to Output (Right)
-            // Output box is at 800, 400. Center approx 850, 450
-            const endPos = { x: 850, y: 450 };
-
-            setTimeout(() => {
-                this.animateMove(itemGroup, centerPos, endPos, 500, () => {
-                    // Check if this matches the target for the lesson? 
-                    // For now, just leaving it in the bin.
-                });
-            }, 500); // Wait 500ms in machine
-        });
+    highlightElement(id, { style = 'flash', text, duration } = {}) {
+        const el = this.findHighlightTarget(id);
+        const draw = HIGHLIGHT_STYLES[style];
+        if (!el || !draw) return;
+
+        // One highlight at a time
+        this.clearHighlight();
+        const undo = draw(this, el, text);
+        const ms = duration ?? HIGHLIGHT_DURATIONS[style];
+        const timer = Number.isFinite(ms) ? setTimeout(() => this.clearHighlight(), ms) : null;
+        this.activeHighlight = () => {
+            clearTimeout(timer);
+            undo();
+        };
     }
 
-    animateMove(element, from, to, duration, onComplete) {
-        const startTime = performance.now();
-
-        const loop = (now) => {
-            const elapsed = now - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            // Ease out cubic
-            const ease = 1 - Math.pow(1 - progress, 3);
+    clearHighlight() {
+        const undo = this.activeHighlight;
+        this.activeHighlight = null;
+        if (undo) undo();
+    }
 
-            const currentX = from.x + (to.x - from.x) * ease;
-            const currentY = from.y + (to.y - from.y) * ease;
+    findHighlightTarget(id) {
+        // Map abstract IDs (used by course hints) to the widget's own selectors
+        const targets = (this.widget && this.widget.highlightTargets) || {};
+        const selector = targets[id] || id;
 
-            element.setAttribute('transform', `translate(${currentX}, ${currentY})`);
+        let el = null;
+        try {
+            el = this.svg.querySelector(selector);
+        } catch (error) {
+            // Not a valid selector; fall back to a plain id lookup
+        }
+        el = el || document.getElementById(id);
+        return el && this.svg.contains(el) ? el : null;
+    }
 
-            if (progress < 1) {
-                requestAnimationFrame(loop);
-            } else {
-                if (onComplete) onComplete();
-            }
+    /**
+     * An element's bounding box in viewBox units, or null where there is no layout.
+     */
+    getSVGBox(el) {
+        const CTM = this.svg.getScreenCTM ? this.svg.getScreenCTM() : null;
+        const rect = el.getBoundingClientRect();
+        if (!CTM || (rect.width === 0 && rect.height === 0)) return null;
+        return {
+            x: (rect.left - CTM.e) / CTM.a,
+            y: (rect.top - CTM.f) / CTM.d,
+            width: rect.width / CTM.a,
+            height: rect.height / CTM.d
         };
-        requestAnimationFrame(loop);
     }
 
     /**
-     * Shows a specific visual scenario (e.g., for feedback).
-     * @param {string} visualType 
-     * @param {any} value - The User's wrong answer or a config object
+     * Arrow and label pointing at a box: from above, or from below when the box is
+     * near the top. Without a box (no layout) only the label is drawn, at the top.
      */
-    showScenario(visualType, value) {
-        if (visualType === 'balance_scale_simple') {
-            // value is likely the "weight" the user guessed, e.g. "5kg"
-            // or just the raw number 5.
-            // We want to simulate putting that weight on the right side (assuming we are solving for X on left)
-            // For "What is Equality" (Left=5, Right=2), if they pick "5kg":
-            // We add 5 to Right. Right becomes 7. Left is 5. Right > Left. Tip Right.
-
-            // Rough heuristic for Phase 1 demo:
-            // We assume the question is "Add to Right".
-            // Left is fixed at 5. Right starts at 2. User adds 'value'.
-            const leftTotal = 5;
-            const rightTotal = 2 + this.parseWeight(value);
-
-            this.updateBeamRotation(leftTotal, rightTotal);
-
-            // Also maybe flash the scale?
-            const beam = document.querySelector('.scale-beam');
-            if (beam) {
-                beam.style.transition = "transform 0.5s cubic-bezier(0.175, 0.885, 0.32, 1.275)";
-            }
+    createCallout(box, text) {
+        const callout = this.createSVGElement('g', { class: 'highlight-callout', 'pointer-events': 'none' });
+        const defs = this.createSVGElement('defs', {});
+        const marker = this.createSVGElement('marker', {
+            id: 'callout-arrowhead', markerWidth: 10, markerHeight: 10, refX: 8, refY: 5, orient: 'auto'
+        });
+        marker.appendChild(this.createSVGElement('path', { d: "M 0 0 L 10 5 L 0 10 Z", fill: "#f59e0b" }));
+        defs.appendChild(marker);
+        callout.appendChild(defs);
+
+        let labelPos = { x: 500, y: 50 };
+        if (box) {
+            const cx = box.x + box.width / 2;
+            const fromAbove = box.y > 160;
+            const tip = { x: cx, y: fromAbove ? box.y - 8 : box.y + box.height + 8 };
+            labelPos = { x: Math.min(850, Math.max(150, cx)), y: fromAbove ? tip.y - 110 : tip.y + 130 };
+            callout.appendChild(this.createSVGElement('line', {
+                x1: labelPos.x, y1: fromAbove ? labelPos.y + 14 : labelPos.y - 34, x2: tip.x, y2: tip.y,
+                stroke: "#f59e0b", "stroke-width": 4, "marker-end": "url(#callout-arrowhead)"
+            }));
         }
-    }
-
-    highlightElement(id) {
-        // Map abstract IDs to specific selectors/elements if needed
-        let selector = id;
-        if (id === 'y-axis-line') selector = '#sin-line';
-        if (id === 'input-box') selector = 'rect[x="100"][y="400"]'; // specific to function machine
-
-        const el = this.svg.querySelector(selector) || document.getElementById(id);
-        if (el) {
-            // Visual Flash
-            const originalStroke = el.getAttribute('stroke');
-            const originalWidth = el.getAttribute('stroke-width');
-
-            el.setAttribute('stroke', '#facc15'); // Yellow warning color
-            el.setAttribute('stroke-width', '8');
-
-            setTimeout(() => {
-                el.setAttribute('stroke', originalStroke);
-                el.setAttribute('stroke-width', originalWidth);
-            }, 1000);
+        if (text) {
+            const label = this.createSVGElement('text', {
+                x: labelPos.x, y: labelPos.y, "text-anchor": "middle", "font-size": "26px", "font-weight": "bold",
+                fill: "#b45309", stroke: "white", "stroke-width": 5, "paint-order": "stroke"
+            });
+            label.textContent = text;
+            callout.appendChild(label);
         }
+        return callout;
     }
 
     getTranslate(transformStr) {
@@ -1024,5 +670,3 @@ export class VisualManager {
     }
 }
 
-// Global instance
-window.visuals = new VisualManager();
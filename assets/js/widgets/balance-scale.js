@@ -0,0 +1,551 @@
+/**
+ * widgets/balance-scale.js
+ * Balance scale: an equation on two plates. Drag weights from the bank onto a plate,
+ * or do the same thing to both sides until the scale is level or the box stands alone.
+ * Config: { leftWeight: number|string, rightWeight: number|string, boxWeight?: number,
+ *           bank?: { units?: integer, boxes?: integer }, bothSides?: boolean, target: "equal"|"isolate" }
+ *
+ * Widget state: { left, right (plate totals), leftSide, rightSide ({ boxes, units }),
+ *                 steps (the step log, see recordStep), isolated }
+ * Scenario: { side?: "left"|"right", units?, boxes?, boxWeight? } puts extra weights on one
+ * of the starting plates and/or weighs the box at a wrong guess (its blocks show the guess).
+ */
+
+import { parse, evaluate } from '../expression.js';
+import { NUMBER, BOOLEAN, NUMBER_OR_STRING } from '../schema.js';
+
+const TILT_PER_UNIT = 4; // degrees of tilt per unit of imbalance
+const MAX_TILT = 20;
+const PLATE_X = { left: 150, right: 850 };
+const PLATE_Y = 600; // top of the plates when the beam is level
+const CELL = 38; // stacked weights, three to a row
+const MAX_UNIT_BLOCKS = 12; // above this, a side's units are drawn as one labelled block
+const DEFAULT_BANK = { units: 5, boxes: 0 };
+
+/**
+ * Weight of a plate or block: a number, or an expression in `box` such as "box+2" or "2box+3".
+ * Units are ignored ("5kg" weighs 5). Unreadable values weigh nothing.
+ */
+export function parseWeight(val, config) {
+    if (typeof val === 'number') return val;
+    if (val === undefined || val === null || val === '') return 0;
+    try {
+        const source = String(val).replace(/(\d)\s*kg\b/gi, '$1');
+        return evaluate(parse(source, { variables: ['box'] }), { box: getBoxWeight(config) });
+    } catch (error) {
+        console.warn(`Can't read weight "${val}":`, error.message);
+        return 0;
+    }
+}
+
+/**
+ * Splits one side of the equation into mystery boxes and unit weights:
+ * "2box+3" -> { boxes: 2, units: 3 }, 11 -> { boxes: 0, units: 11 }.
+ * @throws {import('../expression.js').ExpressionError} if the side can't be parsed
+ * @throws {RangeError} if it isn't linear in box ("box^2")
+ */
+export function parseSide(val) {
+    if (typeof val === 'number') return { boxes: 0, units: val };
+    if (val === undefined || val === null || val === '') return { boxes: 0, units: 0 };
+
+    const node = parse(String(val).replace(/(\d)\s*kg\b/gi, '$1'), { variables: ['box'] });
+    const at = (box) => evaluate(node, { box });
+    const units = at(0);
+    const boxes = at(1) - units;
+    if (Math.abs(at(2) - (units + 2 * boxes)) > 1e-9) {
+        throw new RangeError(`"${val}" must be a number of boxes plus a number of units`);
+    }
+    return { boxes, units };
+}
+
+/**
+ * The mystery box weighs `config.boxWeight` when given. Otherwise the lesson's
+ * equation is taken to be true (e.g. box+2 = 5) and solved for the box.
+ */
+export function getBoxWeight(config = {}) {
+    if (typeof config.boxWeight === 'number') return config.boxWeight;
+    try {
+        const left = parseSide(config.leftWeight);
+        const right = parseSide(config.rightWeight);
+        const boxes = left.boxes - right.boxes;
+        return boxes === 0 ? 0 : (right.units - left.units) / boxes;
+    } catch (error) {
+        return 0;
+    }
+}
+
+function sideTotal(side, boxWeight) {
+    return side.boxes * boxWeight + side.units;
+}
+
+function formatSide(visuals, { boxes, units }) {
+    const terms = [];
+    if (boxes) terms.push(boxes === 1 ? '□' : `${visuals.formatNumber(boxes)}□`);
+    if (units || !boxes) terms.push(visuals.formatNumber(units));
+    return terms.join(' + ');
+}
+
+function formatEquation(visuals, sides) {
+    return `${formatSide(visuals, sides.left)} = ${formatSide(visuals, sides.right)}`;
+}
+
+/**
+ * The box is isolated when one plate holds exactly one box and the other only units.
+ */
+function isIsolated({ left, right }) {
+    const alone = (side) => side.boxes === 1 && side.units === 0;
+    return (alone(left) && right.boxes === 0) || (alone(right) && left.boxes === 0);
+}
+
+function createPlateGroup(visuals, x, yAnchor, id) {
+    const group = visuals.createSVGElement('g', { id: id });
+
+    // String/Chain
+    group.appendChild(visuals.createSVGElement('line', {
+        x1: x, y1: yAnchor, x2: x, y2: yAnchor + 200,
+        stroke: "#9ca3af", "stroke-width": 4
+    }));
+
+    // Plate (Drop Zone)
+    group.appendChild(visuals.createSVGElement('rect', {
+        x: x - 60, y: yAnchor + 200, width: 120, height: 10, fill: "#374151",
+        class: "plate-rect"
+    }));
+
+    // Whatever sits on the plate is redrawn from the equation model (drawPlateContents)
+    group.appendChild(visuals.createSVGElement('g', { class: 'scale-contents' }));
+
+    return group;
+}
+
+function createBlock(visuals, x, y, size, label, isBox) {
+    const block = visuals.createSVGElement('g', { transform: `translate(${x}, ${y})` });
+    block.appendChild(visuals.createSVGElement('rect', {
+        x: -size / 2, y: -size / 2, width: size, height: size, rx: 4,
+        fill: isBox ? "#3b82f6" : "#f59e0b",
+        class: isBox ? "weight-block weight-box" : "weight-block"
+    }));
+    const text = visuals.createSVGElement('text', {
+        x: 0, y: 0, "text-anchor": "middle", "dominant-baseline": "middle",
+        fill: "white", "font-size": "18px", "font-weight": "bold",
+        "pointer-events": "none"
+    });
+    text.textContent = label;
+    block.appendChild(text);
+    return block;
+}
+
+/**
+ * Stacks a side's boxes and unit weights on its plate, three to a row.
+ */
+function drawPlateContents(visuals, sideName, side, boxLabel = '?') {
+    const contents = visuals.svg.querySelector(`#${sideName}-plate .scale-contents`);
+    if (!contents) return;
+    contents.innerHTML = '';
+
+    const blocks = [];
+    for (let i = 0; i < side.boxes; i++) blocks.push({ label: boxLabel, isBox: true });
+    if (Number.isInteger(side.units) && side.boxes + side.units <= MAX_UNIT_BLOCKS) {
+        for (let i = 0; i < side.units; i++) blocks.push({ label: '1', isBox: false });
+    } else if (side.units) {
+        blocks.push({ label: visuals.formatNumber(side.units), isBox: false });
+    }
+
+    blocks.forEach((block, i) => {
+        const x = PLATE_X[sideName] + ((i % 3) - 1) * CELL;
+        const y = PLATE_Y - CELL / 2 - Math.floor(i / 3) * CELL;
+        contents.appendChild(createBlock(visuals, x, y, CELL - 4, block.label, block.isBox));
+    });
+}
+
+/**
+ * Tilts the beam toward the heavier side. Scenarios swing it slower, with an overshoot.
+ */
+function updateBeamRotation(visuals, left, right, swing = false) {
+    const beamGroup = document.getElementById('scale-beam-group');
+    if (!beamGroup) return;
+
+    // Heavier side goes down, further the bigger the difference
+    const angle = Math.max(-MAX_TILT, Math.min(MAX_TILT, (right - left) * TILT_PER_UNIT));
+
+    // Rotates around the pivot (500, 400); see .scale-beam in interactive.css
+    visuals.animate(beamGroup, { rotate: angle }, swing ? { duration: 500, easing: 'backOut' } : { duration: 200 });
+}
+
+/**
+ * Redraws the plates, bank and log from the equation model and reports the new state.
+ */
+function update(visuals) {
+    const { sides, boxWeight, steps } = visuals.local;
+    drawPlateContents(visuals, 'left', sides.left);
+    drawPlateContents(visuals, 'right', sides.right);
+    updateBank(visuals);
+    updateButtons(visuals);
+    updateStepLog(visuals);
+
+    const left = sideTotal(sides.left, boxWeight);
+    const right = sideTotal(sides.right, boxWeight);
+    updateBeamRotation(visuals, left, right);
+    visuals.setWidgetState({
+        left, right,
+        leftSide: { ...sides.left },
+        rightSide: { ...sides.right },
+        steps: [...steps],
+        isolated: Math.abs(left - right) < 1e-9 && isIsolated(sides)
+    });
+}
+
+/**
+ * Applies a change to the equation and appends it to the step log. A step is
+ * { action: "place"|"add"|"remove"|"divide", side: "left"|"right"|"both",
+ *   amount: { boxes, units } (or the divisor), equation: "□ + 2 = 5" }.
+ */
+function recordStep(visuals, step, sides) {
+    const local = visuals.local;
+    local.history.push(local.sides);
+    local.sides = sides;
+    local.steps.push({ ...step, equation: formatEquation(visuals, sides) });
+    update(visuals);
+}
+
+function undoStep(visuals) {
+    const local = visuals.local;
+    const step = local.steps.pop();
+    if (!step) return;
+    local.sides = local.history.pop();
+    // Weights placed from the bank go back to it
+    if (step.action === 'place') local.bank[step.amount.boxes ? 'boxes' : 'units'] += 1;
+    update(visuals);
+}
+
+/**
+ * The same change on both plates: add/remove { boxes, units }, or divide by `divisor`.
+ */
+function applyToBothSides(visuals, action, amount) {
+    const { left, right } = visuals.local.sides;
+    const change = (side) => {
+        if (action === 'divide') return { boxes: side.boxes / amount, units: side.units / amount };
+        const sign = action === 'add' ? 1 : -1;
+        return { boxes: side.boxes + sign * amount.boxes, units: side.units + sign * amount.units };
+    };
+    recordStep(visuals, { action, side: 'both', amount }, { left: change(left), right: change(right) });
+}
+
+/**
+ * Which both-sides moves make sense for the current equation.
+ */
+function getAvailableMoves({ left, right }) {
+    // Split both plates into as many equal parts as there are boxes, when the boxes
+    // are all on one side and every weight divides evenly (2□ = 8 -> □ = 4)
+    const divisor = Math.max(left.boxes, right.boxes);
+    const divides = (side) => Number.isInteger(side.boxes / divisor) && Number.isInteger(side.units / divisor);
+    const canDivide = divisor > 1 && Math.min(left.boxes, right.boxes) === 0 && divides(left) && divides(right);
+    return {
+        addUnit: true,
+        removeUnit: left.units >= 1 && right.units >= 1,
+        removeBox: left.boxes >= 1 && right.boxes >= 1,
+        divide: canDivide ? divisor : null
+    };
+}
+
+function updateButtons(visuals) {
+    const { buttons, sides, steps } = visuals.local;
+    if (!buttons) return;
+    const moves = getAvailableMoves(sides);
+    visuals.setButtonEnabled(buttons.addUnit, moves.addUnit);
+    visuals.setButtonEnabled(buttons.removeUnit, moves.removeUnit);
+    visuals.setButtonEnabled(buttons.removeBox, moves.removeBox);
+    visuals.setButtonEnabled(buttons.divide, moves.divide !== null);
+    if (buttons.divide) {
+        buttons.divide.querySelector('text').textContent = `÷ ${moves.divide || ''}`.trim();
+    }
+    visuals.setButtonEnabled(buttons.undo, steps.length > 0);
+}
+
+function renderControls(visuals, bothSides) {
+    const controls = visuals.createSVGElement('g', { id: 'scale-controls' });
+    const buttons = {};
+
+    if (bothSides) {
+        const caption = visuals.createSVGElement('text', {
+            x: 60, y: 66, "font-size": "22px", fill: "#374151", "font-weight": "bold"
+        });
+        caption.textContent = "Both sides:";
+        controls.appendChild(caption);
+
+        buttons.addUnit = visuals.createButton(200, 40, 80, "+1",
+            () => applyToBothSides(visuals, 'add', { boxes: 0, units: 1 }));
+        buttons.removeUnit = visuals.createButton(295, 40, 80, "−1",
+            () => applyToBothSides(visuals, 'remove', { boxes: 0, units: 1 }));
+        buttons.removeBox = visuals.createButton(390, 40, 80, "−□",
+            () => applyToBothSides(visuals, 'remove', { boxes: 1, units: 0 }));
+        buttons.divide = visuals.createButton(485, 40, 80, "÷", () => {
+            const divisor = getAvailableMoves(visuals.local.sides).divide;
+            if (divisor) applyToBothSides(visuals, 'divide', divisor);
+        });
+    }
+    buttons.undo = visuals.createButton(820, 40, 120, "Undo", () => undoStep(visuals));
+
+    Object.values(buttons).forEach(button => controls.appendChild(button));
+    visuals.svg.appendChild(controls);
+    visuals.local.buttons = buttons;
+}
+
+/**
+ * The equation after each step, newest last (only the last few fit).
+ */
+function updateStepLog(visuals) {
+    const log = document.getElementById('scale-step-log');
+    if (!log) return;
+    log.innerHTML = '';
+
+    const { initial, steps } = visuals.local;
+    const lines = [formatEquation(visuals, initial), ...steps.map(step => step.equation)].slice(-4);
+    lines.forEach((line, i) => {
+        const text = visuals.createSVGElement('text', {
+            x: 60, y: 150 + i * 34, "font-size": "24px",
+            fill: i === lines.length - 1 ? "#111827" : "#9ca3af"
+        });
+        text.textContent = line;
+        log.appendChild(text);
+    });
+}
+
+/**
+ * One draggable per kind of weight in the bank, with a count underneath.
+ * Dropping it on a plate places a copy there and sends it back to the bank.
+ */
+function renderBank(visuals) {
+    const bankGroup = visuals.createSVGElement('g', { id: 'weight-bank' });
+    const kinds = ['units', 'boxes'].filter(kind => visuals.local.bank[kind] > 0);
+    visuals.local.bankHome = {};
+
+    kinds.forEach((kind, i) => {
+        const x = 500 + (i - (kinds.length - 1) / 2) * 160;
+        const y = 880;
+        visuals.local.bankHome[kind] = { x, y };
+
+        const weight = kind === 'units'
+            ? visuals.createDraggableWeight(x, y, 1)
+            : createBlock(visuals, x, y, 60, '?', true);
+        weight.setAttribute('id', `bank-${kind}`);
+        weight.setAttribute('data-kind', kind);
+        weight.setAttribute('data-name', kind === 'units' ? "Unit weight" : "Box");
+        weight.classList.add('draggable');
+        bankGroup.appendChild(weight);
+
+        const count = visuals.createSVGElement('text', {
+            id: `bank-${kind}-count`, x: x + 45, y: y + 8,
+            "font-size": "22px", fill: "#374151", "font-weight": "bold"
+        });
+        bankGroup.appendChild(count);
+    });
+
+    visuals.svg.appendChild(bankGroup);
+}
+
+function updateBank(visuals) {
+    const { bank, bankHome } = visuals.local;
+    for (const kind of Object.keys(bankHome || {})) {
+        const weight = document.getElementById(`bank-${kind}`);
+        const count = document.getElementById(`bank-${kind}-count`);
+        if (count) count.textContent = `×${bank[kind]}`;
+        if (weight) weight.style.display = bank[kind] > 0 ? '' : 'none';
+    }
+}
+
+function returnToBank(visuals, el) {
+    const home = visuals.local.bankHome[el.dataset.kind];
+    if (home) el.setAttributeNS(null, "transform", `translate(${home.x}, ${home.y})`);
+}
+
+function dropOnPlate(visuals, el, zone) {
+    const local = visuals.local;
+    const kind = el.dataset.kind;
+    returnToBank(visuals, el);
+    if (!kind || local.bank[kind] <= 0) return;
+
+    const side = zone.targetVal;
+    const amount = kind === 'boxes' ? { boxes: 1, units: 0 } : { boxes: 0, units: 1 };
+    local.bank[kind] -= 1;
+
+    const sides = { ...local.sides };
+    sides[side] = { boxes: sides[side].boxes + amount.boxes, units: sides[side].units + amount.units };
+    recordStep(visuals, { action: 'place', side, amount }, sides);
+}
+
+export default {
+    type: 'balance_scale_simple',
+
+    configSchema: {
+        type: 'object',
+        required: ['leftWeight', 'rightWeight'],
+        properties: {
+            leftWeight: NUMBER_OR_STRING,
+            rightWeight: NUMBER_OR_STRING,
+            boxWeight: NUMBER, // Defaults to the value that makes the two sides equal
+            bank: {
+                type: 'object',
+                properties: {
+                    units: { type: 'integer', minimum: 0 },
+                    boxes: { type: 'integer', minimum: 0 }
+                }
+            },
+            bothSides: BOOLEAN, // Defaults to true for "isolate"
+            target: { enum: ['equal', 'isolate'] }
+        }
+    },
+
+    checkConfig(config) {
+        const errors = [];
+        let boxes = 0;
+        for (const key of ['leftWeight', 'rightWeight']) {
+            try {
+                const side = parseSide(config[key]);
+                boxes += side.boxes;
+                if (!Number.isInteger(side.boxes) || side.boxes < 0 || side.units < 0) {
+                    errors.push({ path: key, message: "needs a whole number of boxes and no negative weights" });
+                }
+            } catch (error) {
+                errors.push({ path: key, message: `can't be parsed: ${error.message}` });
+            }
+        }
+        if (config.target === 'isolate' && errors.length === 0 && boxes === 0) {
+            errors.push({ path: 'target', message: "\"isolate\" needs a box on one of the plates" });
+        }
+        return errors;
+    },
+
+    goal: {
+        hasGoal: (config) => config.target === 'equal' || config.target === 'isolate',
+        isMet: (config, state) => (config.target === 'isolate'
+            ? state.isolated
+            : Math.abs(state.left - state.right) < 1e-9)
+    },
+
+    scenarioSchema: {
+        type: 'object',
+        properties: {
+            side: { enum: ['left', 'right'] },
+            units: NUMBER,
+            boxes: { type: 'integer', minimum: 0 },
+            boxWeight: NUMBER
+        }
+    },
+
+    label: "Balance scale",
+
+    announce(visuals, state) {
+        const balance = Math.abs(state.left - state.right) < 1e-9 ? "The scale is level"
+            : `The ${state.left > state.right ? 'left' : 'right'} side is heavier`;
+        // "2□ + 1 = 5" reads as "2 boxes + 1 = 5"
+        const equation = formatEquation(visuals, visuals.local.sides)
+            .replace(/(\d+)□/g, '$1 boxes').replace(/□/g, 'box');
+        return `${equation}. ${balance}.`;
+    },
+
+    highlightTargets: {
+        'box': '.scale-contents .weight-box',
+        'left-plate': '#left-plate .plate-rect',
+        'right-plate': '#right-plate .plate-rect',
+        'beam': '#scale-beam-group',
+        'bank': '#weight-bank'
+    },
+
+    render(visuals, config) {
+        const local = visuals.local;
+        local.initial = {
+            left: parseSide(config.leftWeight),
+            right: parseSide(config.rightWeight)
+        };
+        local.sides = local.initial;
+        local.boxWeight = getBoxWeight(config);
+        local.bank = { ...DEFAULT_BANK, ...config.bank };
+        local.steps = [];
+        local.history = []; // sides before each step, for Undo
+
+        // 1. Draw Static Base
+        const base = visuals.createSVGElement('path', {
+            d: "M 450 800 L 550 800 L 500 400 Z",
+            class: "scale-base"
+        });
+        visuals.svg.appendChild(base);
+
+        // 2. Draw Beam Group (pivot at 500, 400)
+        const beamGroup = visuals.createSVGElement('g', {
+            id: 'scale-beam-group',
+            class: 'scale-beam'
+        });
+
+        // Beam bar
+        const beam = visuals.createSVGElement('rect', {
+            x: 100, y: 395, width: 800, height: 10, rx: 5, fill: "#374151"
+        });
+        beamGroup.appendChild(beam);
+
+        // Plates (hanging from beam)
+        beamGroup.appendChild(createPlateGroup(visuals, PLATE_X.left, 400, 'left-plate'));
+        beamGroup.appendChild(createPlateGroup(visuals, PLATE_X.right, 400, 'right-plate'));
+
+        // Drop zones: from the beam down to just under each plate, in the beam's own
+        // coordinates so they tilt with it
+        visuals.dropZones.push({
+            id: 'left-plate', x: PLATE_X.left - 60, y: 400, width: 120, height: 250, el: beamGroup,
+            label: "the left plate", targetVal: 'left', onDrop: dropOnPlate
+        });
+        visuals.dropZones.push({
+            id: 'right-plate', x: PLATE_X.right - 60, y: 400, width: 120, height: 250, el: beamGroup,
+            label: "the right plate", targetVal: 'right', onDrop: dropOnPlate
+        });
+
+        visuals.svg.appendChild(beamGroup);
+
+        // 3. Controls and the equation log
+        renderControls(visuals, config.bothSides ?? config.target === 'isolate');
+        visuals.svg.appendChild(visuals.createSVGElement('g', { id: 'scale-step-log' }));
+
+        // 4. Weight Bank (Draggable Items)
+        renderBank(visuals);
+
+        update(visuals);
+    },
+
+    showScenario(visuals, value) {
+        if (value && typeof value === 'object') {
+            // Declarative: the starting plates plus the scenario's weights, weighed
+            // with the box at the scenario's guess
+            const { initial, boxWeight } = visuals.local;
+            const shown = { left: { ...initial.left }, right: { ...initial.right } };
+            if (value.side) {
+                shown[value.side].units += value.units || 0;
+                shown[value.side].boxes += value.boxes || 0;
+            }
+            const weight = value.boxWeight ?? boxWeight;
+            const boxLabel = value.boxWeight !== undefined ? visuals.formatNumber(weight) : '?';
+            drawPlateContents(visuals, 'left', shown.left, boxLabel);
+            drawPlateContents(visuals, 'right', shown.right, boxLabel);
+            updateBeamRotation(visuals, sideTotal(shown.left, weight), sideTotal(shown.right, weight), true);
+            return;
+        }
+
+        // value is the learner's wrong answer, e.g. "5kg" or 5.
+        // With a box on the scale it is a guess at the box's weight: weigh the
+        // starting equation with it. Otherwise it is weight added to the right plate.
+        const { initial } = visuals.local;
+        const guess = parseWeight(value, visuals.config);
+        let leftTotal, rightTotal;
+        if (initial.left.boxes || initial.right.boxes) {
+            leftTotal = sideTotal(initial.left, guess);
+            rightTotal = sideTotal(initial.right, guess);
+        } else {
+            leftTotal = initial.left.units;
+            rightTotal = initial.right.units + guess;
+        }
+        updateBeamRotation(visuals, leftTotal, rightTotal, true);
+    },
+
+    restoreState(visuals) {
+        // Scenarios only redraw; the equation model still holds the learner's plates
+        update(visuals);
+    }
+};
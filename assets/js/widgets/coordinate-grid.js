@@ -0,0 +1,483 @@
+/**
+ * widgets/coordinate-grid.js
+ * Coordinate grid: drag named points that snap to the grid, with optional segments
+ * or lines through them (live slope and distance) and plotted curves y = f(x).
+ * Config: { xRange?: [min, max], yRange?: [min, max], tick?: number, snap?: number, zoom?: boolean,
+ *           points?: [{ id, x, y, color?, target?: [x, y], fixed?: boolean }],
+ *           segments?: [{ from, to, line?: boolean, readout?: ("slope"|"distance")[] }],
+ *           plot?: string | string[], targetX?: integer, targetY?: integer }
+ * Without `points` there is one point P at the origin; `targetX`/`targetY` give it a target.
+ * The learner can pan and zoom the grid unless `zoom` is false.
+ *
+ * Widget state: { points: { [id]: { x, y } }, x, y } (x, y: the first point)
+ * Scenario: { point?, x, y } moves a point (the first one by default) to (x, y).
+ */
+
+import { toFunction } from '../expression.js';
+import { STRING, NUMBER, BOOLEAN } from '../schema.js';
+import { Viewport, drawAxes, enablePanZoom } from '../viewport.js';
+
+const BOX = { left: 100, top: 100, width: 800, height: 800 };
+const POINT_COLORS = ["#3b82f6", "#ef4444", "#10b981", "#8b5cf6", "#f59e0b"];
+const PLOT_COLORS = ["#8b5cf6", "#ec4899", "#14b8a6"];
+const RANGE = { type: 'array', minItems: 2, maxItems: 2, items: NUMBER };
+
+/**
+ * The configured ranges, filling the 800px box.
+ */
+function getView(config) {
+    return new Viewport({ box: BOX, xRange: config.xRange || [-8, 8], yRange: config.yRange || [-8, 8] });
+}
+
+/**
+ * The points to draw: config.points, or the classic single point P with targetX/targetY.
+ */
+function getPointConfigs(config) {
+    if (config.points) return config.points;
+    const point = { id: 'P', x: 0, y: 0 };
+    if (typeof config.targetX === 'number' && typeof config.targetY === 'number') {
+        point.target = [config.targetX, config.targetY];
+    }
+    return [point];
+}
+
+/**
+ * The multiple of step nearest to value that lies in [min, max]. Rounds away float
+ * noise (0.1 + 0.2) so snapped coordinates print cleanly.
+ */
+function snapTo(value, step, min, max) {
+    const low = Math.ceil(min / step - 1e-9) * step;
+    const high = Math.floor(max / step + 1e-9) * step;
+    const snapped = Math.round(value / step) * step;
+    return Math.round(Math.min(high, Math.max(low, snapped)) * 1e9) / 1e9;
+}
+
+function atTarget(point) {
+    return !!point.target && point.x === point.target[0] && point.y === point.target[1];
+}
+
+/**
+ * "2/3 ≈ 0.67", "-2", or "undefined" for a vertical run.
+ */
+function formatSlope(visuals, rise, run) {
+    if (run === 0) return "undefined";
+    const slope = rise / run;
+    if (Number.isInteger(rise) && Number.isInteger(run) && !Number.isInteger(slope)) {
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        const divisor = gcd(Math.abs(rise), Math.abs(run)) * Math.sign(run);
+        return `${rise / divisor}/${run / divisor} ≈ ${slope.toFixed(2)}`;
+    }
+    return visuals.formatNumber(slope);
+}
+
+/**
+ * "5", or "√13 ≈ 3.61" when the squared distance is a whole number that isn't a square.
+ */
+function formatDistance(visuals, dx, dy) {
+    const squared = Math.round((dx * dx + dy * dy) * 1e9) / 1e9;
+    const distance = Math.sqrt(squared);
+    if (Number.isInteger(squared) && !Number.isInteger(distance)) {
+        return `√${squared} ≈ ${distance.toFixed(2)}`;
+    }
+    return visuals.formatNumber(distance);
+}
+
+/**
+ * Moves a point's marker and label to its coordinates.
+ */
+function placePoint(visuals, point) {
+    const { view } = visuals.local;
+    const { px, py } = view.toScreen(point.x, point.y);
+    point.el.setAttributeNS(null, "transform", `translate(${px}, ${py})`);
+    point.el.style.display = view.contains(point.x, point.y) ? '' : 'none'; // Panned or zoomed out of view
+
+    const label = point.el.querySelector('.coord-label');
+    if (label) {
+        label.textContent = `${point.id} (${visuals.formatNumber(point.x)}, ${visuals.formatNumber(point.y)})`;
+    }
+
+    // Visual Feedback for the point's target
+    if (point.target) {
+        point.el.querySelector('circle').setAttribute('fill', atTarget(point) ? '#22c55e' : point.color);
+    }
+}
+
+/**
+ * Plotted curves across whatever is in view.
+ */
+function drawPlots(visuals) {
+    const { plots, view } = visuals.local;
+    for (const { f, el } of plots) {
+        el.setAttribute('d', visuals.curvePath(f, view.xMin, view.xMax, view.toScreen, 200));
+    }
+}
+
+function updateSegments(visuals) {
+    const { segments, points, view } = visuals.local;
+    for (const segment of segments) {
+        const a = points[segment.from];
+        const b = points[segment.to];
+        if (!a || !b) continue;
+
+        let from = view.toScreen(a.x, a.y);
+        let to = view.toScreen(b.x, b.y);
+        if (segment.line && (a.x !== b.x || a.y !== b.y)) {
+            // Extend well past the box in both directions; the clip path trims it
+            const dx = to.px - from.px;
+            const dy = to.py - from.py;
+            const stretch = 2000 / Math.hypot(dx, dy);
+            from = { px: from.px - dx * stretch, py: from.py - dy * stretch };
+            to = { px: to.px + dx * stretch, py: to.py + dy * stretch };
+        }
+        segment.el.setAttribute('x1', from.px);
+        segment.el.setAttribute('y1', from.py);
+        segment.el.setAttribute('x2', to.px);
+        segment.el.setAttribute('y2', to.py);
+
+        if (segment.readoutEl) {
+            const rise = b.y - a.y;
+            const run = b.x - a.x;
+            const parts = [];
+            if (segment.readout.includes('slope')) parts.push(`m = ${formatSlope(visuals, rise, run)}`);
+            if (segment.readout.includes('distance')) parts.push(`d = ${formatDistance(visuals, run, rise)}`);
+
+            const mid = view.toScreen((a.x + b.x) / 2, (a.y + b.y) / 2);
+            segment.readoutEl.setAttribute('x', mid.px + 14);
+            segment.readoutEl.setAttribute('y', mid.py - 14);
+            segment.readoutEl.textContent = `${segment.from}${segment.to}: ${parts.join(', ')}`;
+        }
+    }
+}
+
+function reportState(visuals) {
+    const points = {};
+    Object.values(visuals.local.points).forEach(point => {
+        points[point.id] = { x: point.x, y: point.y };
+    });
+    const first = Object.values(points)[0] || {};
+    visuals.setWidgetState({ points, x: first.x, y: first.y });
+}
+
+function dragPoint(visuals, el, rawX, rawY) {
+    const { points, view, snap } = visuals.local;
+    const point = points[el.dataset.point];
+    if (!point) return;
+
+    const { x, y } = view.toMath(rawX, rawY);
+    point.x = snapTo(x, snap, view.xMin, view.xMax);
+    point.y = snapTo(y, snap, view.yMin, view.yMax);
+    placePoint(visuals, point);
+    updateSegments(visuals);
+}
+
+/**
+ * Arrow keys move a point one snap step; Home takes it to the origin (or as near as the view allows).
+ */
+function movePointByKey(visuals, el, key) {
+    const { points, view, snap } = visuals.local;
+    const point = points[el.dataset.point];
+    if (!point) return false;
+
+    const moves = {
+        'ArrowLeft': [point.x - snap, point.y],
+        'ArrowRight': [point.x + snap, point.y],
+        'ArrowUp': [point.x, point.y + snap],
+        'ArrowDown': [point.x, point.y - snap],
+        'Home': [0, 0]
+    };
+    if (!moves[key]) return false;
+
+    const [x, y] = moves[key];
+    point.x = snapTo(x, snap, view.xMin, view.xMax);
+    point.y = snapTo(y, snap, view.yMin, view.yMax);
+    placePoint(visuals, point);
+    updateSegments(visuals);
+    reportState(visuals);
+    return true;
+}
+
+export default {
+    type: 'coordinate_grid',
+
+    configSchema: {
+        type: 'object',
+        properties: {
+            xRange: RANGE,
+            yRange: RANGE,
+            tick: { type: 'number', minimum: 0 },
+            snap: { type: 'number', minimum: 0 }, // Defaults to tick
+            zoom: BOOLEAN,
+            points: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['id', 'x', 'y'],
+                    properties: {
+                        id: STRING,
+                        x: NUMBER,
+                        y: NUMBER,
+                        color: STRING,
+                        target: RANGE,
+                        fixed: BOOLEAN
+                    }
+                }
+            },
+            segments: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['from', 'to'],
+                    properties: {
+                        from: STRING,
+                        to: STRING,
+                        line: BOOLEAN, // Extend past the points in both directions
+                        readout: { type: 'array', items: { enum: ['slope', 'distance'] } }
+                    }
+                }
+            },
+            plot: { oneOf: [STRING, { type: 'array', items: STRING }] },
+            targetX: { type: 'integer' },
+            targetY: { type: 'integer' }
+        }
+    },
+
+    checkConfig(config) {
+        const errors = [];
+        for (const key of ['xRange', 'yRange']) {
+            const range = config[key];
+            if (Array.isArray(range) && range.length === 2 && range[0] >= range[1]) {
+                errors.push({ path: key, message: `start (${range[0]}) must be less than end (${range[1]})` });
+            }
+        }
+        for (const key of ['tick', 'snap']) {
+            if (config[key] === 0) errors.push({ path: key, message: "must be greater than 0" });
+        }
+
+        const ids = new Set();
+        (Array.isArray(config.points) ? config.points : []).forEach((point, i) => {
+            if (ids.has(point.id)) errors.push({ path: `points[${i}].id`, message: `duplicate point "${point.id}"` });
+            ids.add(point.id);
+        });
+        if (!config.points) ids.add('P');
+        (Array.isArray(config.segments) ? config.segments : []).forEach((segment, i) => {
+            for (const end of ['from', 'to']) {
+                if (typeof segment[end] === 'string' && !ids.has(segment[end])) {
+                    errors.push({ path: `segments[${i}].${end}`, message: `no point "${segment[end]}"` });
+                }
+            }
+        });
+
+        const plots = typeof config.plot === 'string' ? [config.plot] : (Array.isArray(config.plot) ? config.plot : []);
+        plots.forEach((formula, i) => {
+            try {
+                toFunction(formula);
+            } catch (error) {
+                const path = typeof config.plot === 'string' ? 'plot' : `plot[${i}]`;
+                errors.push({ path, message: `can't be parsed: ${error.message}` });
+            }
+        });
+        return errors;
+    },
+
+    goal: {
+        hasGoal: (config) => getPointConfigs(config).some(point => point.target),
+        isMet: (config, state) => getPointConfigs(config)
+            .filter(point => point.target)
+            .every(point => {
+                const current = state.points && state.points[point.id];
+                return !!current && current.x === point.target[0] && current.y === point.target[1];
+            })
+    },
+
+    dragStrategies: {
+        // Every draggable on the grid is a point
+        'default': {
+            onDrag: (visuals, el, x, y) => {
+                dragPoint(visuals, el, x, y);
+            },
+            onEnd: (visuals, el) => {
+                // Points snap while dragging; report where this one landed
+                reportState(visuals);
+            }
+        }
+    },
+
+    keyboardStrategies: {
+        'default': {
+            label: (visuals, el) => {
+                const point = visuals.local.points[el.dataset.point];
+                return `Point ${point.id} at (${visuals.formatNumber(point.x)}, ${visuals.formatNumber(point.y)}). ` +
+                    "Arrow keys move it one grid step, Home moves it to the origin.";
+            },
+            onKey: movePointByKey
+        }
+    },
+
+    label: "Coordinate grid",
+
+    announce(visuals, state, patch) {
+        if (!patch.points) return null;
+        const points = Object.entries(state.points).map(([id, { x, y }]) =>
+            `${id} at (${visuals.formatNumber(x)}, ${visuals.formatNumber(y)})`);
+        return points.length === 1 ? `Point ${points[0]}` : `Points ${points.join(', ')}`;
+    },
+
+    scenarioSchema: {
+        type: 'object',
+        required: ['x', 'y'],
+        properties: { point: STRING, x: NUMBER, y: NUMBER }
+    },
+
+    highlightTargets: {
+        'grid-point': '.grid-point',
+        'x-axis': '#grid-x-axis',
+        'y-axis': '#grid-y-axis',
+        'plot': '.grid-plot'
+    },
+
+    liveConfig: ['targetX', 'targetY'],
+
+    configure(visuals, config) {
+        // Only the classic single point P has targetX/targetY
+        for (const pointConfig of getPointConfigs(config)) {
+            const point = visuals.local.points[pointConfig.id];
+            if (!point) continue;
+            point.target = pointConfig.target;
+            placePoint(visuals, point);
+        }
+    },
+
+    showScenario(visuals, value) {
+        const { points } = visuals.local;
+        const point = value && typeof value === 'object'
+            ? points[value.point ?? Object.keys(points)[0]]
+            : undefined;
+        if (!point) return false;
+
+        const from = { x: point.x, y: point.y };
+        visuals.animateScenario((t) => {
+            point.x = t === 1 ? value.x : from.x + (value.x - from.x) * t;
+            point.y = t === 1 ? value.y : from.y + (value.y - from.y) * t;
+            placePoint(visuals, point);
+            updateSegments(visuals);
+        });
+    },
+
+    restoreState(visuals, state) {
+        const { points } = visuals.local;
+        Object.entries(state.points || {}).forEach(([id, { x, y }]) => {
+            if (!points[id]) return;
+            Object.assign(points[id], { x, y });
+            placePoint(visuals, points[id]);
+        });
+        updateSegments(visuals);
+        reportState(visuals);
+    },
+
+    render(visuals, config) {
+        const local = visuals.local;
+        const view = getView(config);
+        const tick = config.tick || 1;
+        local.view = view;
+        local.snap = config.snap || tick;
+
+        // 1. Grid, axes and tick labels (redrawn as the view moves)
+        visuals.svg.appendChild(visuals.createSVGElement('rect', {
+            x: BOX.left, y: BOX.top, width: BOX.width, height: BOX.height, fill: "#f3f4f6"
+        }));
+        const axes = visuals.createSVGElement('g', { id: 'grid-axes' });
+        visuals.svg.appendChild(axes);
+        const drawGrid = () => drawAxes(visuals, view, axes, { tick, grid: true, ids: { x: 'grid-x-axis', y: 'grid-y-axis' } });
+        drawGrid();
+
+        // Lines and curves are trimmed to the box
+        const clip = visuals.createSVGElement('clipPath', { id: 'grid-clip' });
+        clip.appendChild(visuals.createSVGElement('rect', {
+            x: BOX.left, y: BOX.top, width: BOX.width, height: BOX.height
+        }));
+        visuals.svg.appendChild(clip);
+
+        // 2. Plotted relations y = f(x)
+        const plots = config.plot === undefined ? [] : [].concat(config.plot);
+        local.plots = plots.map((formula, i) => {
+            const f = toFunction(formula);
+            const color = PLOT_COLORS[i % PLOT_COLORS.length];
+            const el = visuals.createSVGElement('path', {
+                class: 'grid-plot', fill: "none", stroke: color, "stroke-width": 4, "clip-path": "url(#grid-clip)"
+            });
+            visuals.svg.appendChild(el);
+
+            const caption = visuals.createSVGElement('text', {
+                x: BOX.left + 10, y: BOX.top + 30 + i * 30, "font-size": "22px", fill: color, "font-weight": "bold"
+            });
+            caption.textContent = /=/.test(formula) ? formula : `y = ${formula}`;
+            visuals.svg.appendChild(caption);
+            return { f, el };
+        });
+        drawPlots(visuals);
+
+        // 3. Segments and lines between points (positions filled in by updateSegments)
+        local.segments = (config.segments || []).map(segment => {
+            const el = visuals.createSVGElement('line', {
+                class: 'grid-segment', stroke: "#374151", "stroke-width": 3, "clip-path": "url(#grid-clip)",
+                "stroke-dasharray": segment.line ? "none" : "8,6"
+            });
+            visuals.svg.appendChild(el);
+
+            const readout = segment.readout || [];
+            let readoutEl = null;
+            if (readout.length) {
+                readoutEl = visuals.createSVGElement('text', {
+                    class: 'grid-readout', "font-size": "22px", fill: "#111827", "font-weight": "bold",
+                    stroke: "white", "stroke-width": 4, "paint-order": "stroke", "pointer-events": "none"
+                });
+            }
+            return { ...segment, readout, el, readoutEl };
+        });
+
+        // 4. Points (draggable unless fixed)
+        local.points = {};
+        getPointConfigs(config).forEach((pointConfig, i) => {
+            const color = pointConfig.color || POINT_COLORS[i % POINT_COLORS.length];
+            const pointGroup = visuals.createSVGElement('g', {
+                class: pointConfig.fixed ? 'grid-point' : 'grid-point draggable',
+                id: `grid-point-${pointConfig.id}`,
+                'data-point': pointConfig.id
+            });
+            pointGroup.appendChild(visuals.createSVGElement('circle', {
+                cx: 0, cy: 0, r: 15, fill: color, stroke: "white", "stroke-width": 3
+            }));
+
+            // Coordinate Label
+            const label = visuals.createSVGElement('text', {
+                x: 20, y: -20, "font-size": "24px", fill: color, "font-weight": "bold",
+                stroke: "white", "stroke-width": 4, "paint-order": "stroke",
+                "pointer-events": "none", class: 'coord-label'
+            });
+            pointGroup.appendChild(label);
+            visuals.svg.appendChild(pointGroup);
+
+            const point = { ...pointConfig, color, el: pointGroup };
+            local.points[point.id] = point;
+            placePoint(visuals, point);
+        });
+
+        // Readouts go on top of the points
+        local.segments.forEach(segment => {
+            if (segment.readoutEl) visuals.svg.appendChild(segment.readoutEl);
+        });
+        updateSegments(visuals);
+
+        reportState(visuals);
+
+        // 5. Pan and zoom: everything above is redrawn from math coordinates
+        view.onChange(() => {
+            drawGrid();
+            drawPlots(visuals);
+            Object.values(local.points).forEach(point => placePoint(visuals, point));
+            updateSegments(visuals);
+        });
+        if (config.zoom !== false) enablePanZoom(visuals, view);
+    }
+};
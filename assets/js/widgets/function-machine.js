@@ -0,0 +1,461 @@
+/**
+ * widgets/function-machine.js
+ * Function machine: drop numbers in, watch the rule transform them, and read the
+ * input/output table that builds up. Several rules in `rules` are chained machines
+ * (function composition); `hideRule` turns it into a guess-the-rule puzzle.
+ * Config: { rule: string|pieces, rules?: (string|pieces)[], inputs: number[],
+ *           hideRule?: boolean, target: "output"|"all"|"guess", animationSpeed: string }
+ * A piecewise rule is a list of { rule, min?, max? } pieces (see compileRule).
+ *
+ * Widget state: { outputs: [{ input, output, values }], guess?, ruleGuessed? }
+ * `values` holds the number after each machine, starting with the input.
+ * Scenario: { input } sends a number through the machines without recording it.
+ */
+
+import { compileRule } from '../expression.js';
+import { STRING, NUMBER, BOOLEAN } from '../schema.js';
+
+const RULE = {
+    oneOf: [
+        STRING,
+        {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['rule'],
+                properties: { rule: STRING, min: NUMBER, max: NUMBER }
+            }
+        }
+    ]
+};
+
+const FUNCTION_NAMES = ['f', 'g', 'h'];
+const MAX_TABLE_ROWS = 5;
+const OUTPUT_POS = { x: 850, y: 450 };
+
+/**
+ * The rules to chain, first machine first.
+ */
+function getRules(config) {
+    return config.rules || [config.rule || "x"];
+}
+
+/**
+ * Where the i-th input waits in the queue along the bottom.
+ */
+function queuePosition(inputs, i) {
+    const spacing = Math.min(100, 800 / inputs.length);
+    return { x: 500 + (i - (inputs.length - 1) / 2) * spacing, y: 820 };
+}
+
+function formatValue(visuals, value) {
+    return Number.isFinite(value) ? visuals.formatNumber(value) : "—";
+}
+
+/**
+ * Display lines for a rule: "+ 2", or one line per piece ("-x  (x < 0)").
+ */
+function describeRule(rule) {
+    if (!Array.isArray(rule)) return [rule];
+    return rule.map(piece => {
+        const bounds = [];
+        if (piece.min !== undefined) bounds.push(`${piece.min} ≤`);
+        bounds.push('x');
+        if (piece.max !== undefined) bounds.push(`< ${piece.max}`);
+        return piece.min === undefined && piece.max === undefined
+            ? `${piece.rule}  (otherwise)`
+            : `${piece.rule}  (${bounds.join(' ')})`;
+    });
+}
+
+/**
+ * Whether two machine results agree (both undefined counts as agreeing).
+ */
+function sameValue(a, b) {
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return !Number.isFinite(a) && !Number.isFinite(b);
+    return Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Animates an item passing through each machine in turn, then into the output bin.
+ * @param {SVGElement} itemGroup - The draggable group element
+ * @param {Function} onDone - (visuals, itemGroup, values) once it is in the bin
+ */
+function animateProcess(visuals, itemGroup, onDone = finishItem) {
+    // Disable interaction
+    itemGroup.classList.remove('draggable');
+
+    const local = visuals.local;
+    const scenario = visuals.scenario;
+    const { machines } = local;
+    const textEl = itemGroup.querySelector('text');
+    const values = [Number(itemGroup.dataset.val)];
+    local.inFlight = (local.inFlight || 0) + 1;
+
+    const timeline = visuals.timeline();
+    for (const machine of machines) {
+        // 1. Move to the machine's center (processing)
+        timeline.to(itemGroup, { translate: { x: machine.x + machine.width / 2, y: 450 } }, { duration: 500 });
+
+        // 2. Apply this machine's rule
+        timeline.call(() => {
+            const newVal = machine.f(values[values.length - 1]);
+            values.push(newVal);
+            textEl.textContent = formatValue(visuals, newVal);
+            itemGroup.dataset.val = newVal;
+
+            // Optional: visual "pop" or color change
+            itemGroup.querySelector('rect').setAttribute('fill', '#22c55e'); // Green
+        });
+
+        // 3. On to the next machine after a moment inside this one
+        timeline.wait(500);
+    }
+    // Last stop: the output bin. Record what came out.
+    timeline.to(itemGroup, { translate: OUTPUT_POS }, { duration: 500 });
+
+    return timeline.play().then(completed => {
+        local.inFlight--;
+        // Cancelled with the lesson, or the scenario it belongs to ended on the way
+        if (completed && visuals.scenario === scenario) onDone(visuals, itemGroup, values);
+    });
+}
+
+function finishItem(visuals, itemGroup, values) {
+    // Only the newest result stays in the bin
+    const local = visuals.local;
+    if (local.outputItem && local.outputItem !== itemGroup) local.outputItem.remove();
+    local.outputItem = itemGroup;
+
+    const row = { input: values[0], output: values[values.length - 1], values };
+    const outputs = [...(visuals.widgetState.outputs || []), row];
+    visuals.setWidgetState({ outputs });
+    updateTable(visuals);
+}
+
+function dropInMachine(visuals, el, zone) {
+    // Snap to input box
+    el.setAttributeNS(null, "transform", `translate(${zone.x + 50}, ${zone.y + 50})`);
+    animateProcess(visuals, el);
+}
+
+/**
+ * The input/output table above the machines: newest rows at the bottom.
+ */
+function updateTable(visuals) {
+    const table = document.getElementById('io-table');
+    if (!table) return;
+    table.innerHTML = '';
+
+    const { machines } = visuals.local;
+    const headers = ['x'];
+    let applied = 'x';
+    machines.forEach((machine, i) => {
+        applied = `${FUNCTION_NAMES[i]}(${applied})`;
+        headers.push(machines.length === 1 ? 'f(x)' : applied);
+    });
+
+    const columnWidth = 160;
+    const left = 500 - (headers.length * columnWidth) / 2;
+    const cell = (column, y, label, bold) => {
+        const text = visuals.createSVGElement('text', {
+            x: left + (column + 0.5) * columnWidth, y, "text-anchor": "middle",
+            "font-size": "24px", fill: "#374151", "font-weight": bold ? "bold" : "normal"
+        });
+        text.textContent = label;
+        table.appendChild(text);
+    };
+
+    headers.forEach((header, column) => cell(column, 80, header, true));
+    table.appendChild(visuals.createSVGElement('line', {
+        x1: left, y1: 94, x2: left + headers.length * columnWidth, y2: 94,
+        stroke: "#9ca3af", "stroke-width": 2
+    }));
+
+    const rows = (visuals.widgetState.outputs || []).slice(-MAX_TABLE_ROWS);
+    rows.forEach((row, i) => {
+        row.values.forEach((value, column) => cell(column, 126 + i * 34, formatValue(visuals, value), false));
+    });
+}
+
+/**
+ * Guess-the-rule: the hypothesis must reproduce every row of the table, and then
+ * the hidden rule itself (so "x + 2" fitting one row of "2x" isn't enough).
+ */
+function checkGuess(visuals, text) {
+    const feedback = document.getElementById('guess-feedback');
+    const say = (message) => {
+        if (feedback) feedback.textContent = message;
+        visuals.announce(message);
+    };
+
+    if (text.trim() === '') return;
+    let guess;
+    try {
+        guess = compileRule(text);
+    } catch (error) {
+        say(`Can't read that rule: ${error.message}`);
+        return;
+    }
+
+    const rows = visuals.widgetState.outputs || [];
+    if (rows.length === 0) {
+        say("Put a number through the machine first.");
+        return;
+    }
+
+    const samples = rows.map(row => row.input);
+    for (let x = -10; x <= 10; x += 0.25) samples.push(x);
+    // Working a rule out can throw too (evaluate() does for a value it lacks)
+    let guessed;
+    try {
+        guessed = new Map(samples.map(x => [x, guess(x)]));
+    } catch (error) {
+        say(`Can't work that rule out: ${error.message}`);
+        return;
+    }
+
+    const miss = rows.find(row => !sameValue(guessed.get(row.input), row.output));
+    if (miss) {
+        say(`Not quite: your rule turns ${formatValue(visuals, miss.input)} into ${formatValue(visuals, guessed.get(miss.input))}, the machine gave ${formatValue(visuals, miss.output)}.`);
+        visuals.setWidgetState({ guess: text, ruleGuessed: false });
+        return;
+    }
+
+    const machine = visuals.local.composite;
+    if (!samples.every(x => sameValue(guessed.get(x), machine(x)))) {
+        // Each input goes through once, so with none left there is nothing more to try
+        const left = visuals.local.inputCount - rows.length;
+        say(left > 0
+            ? "That fits the table so far, but not every number. Try another input."
+            : "That fits every input you tried, but it isn't the rule.");
+        visuals.setWidgetState({ guess: text, ruleGuessed: false });
+        return;
+    }
+
+    say("That's the rule!");
+    revealRules(visuals);
+    visuals.setWidgetState({ guess: text, ruleGuessed: true });
+}
+
+function revealRules(visuals) {
+    visuals.local.machines.forEach(machine => {
+        const label = document.getElementById(machine.labelId);
+        if (label) drawRuleText(visuals, label, machine);
+    });
+}
+
+function drawRuleText(visuals, group, machine, hidden) {
+    group.innerHTML = '';
+    const lines = hidden ? ['?'] : describeRule(machine.rule);
+    const fontSize = lines.length > 1 ? 18 : (machine.width < 200 ? 24 : 32);
+    lines.forEach((line, i) => {
+        const text = visuals.createSVGElement('text', {
+            x: machine.x + machine.width / 2, y: 450 + (i - (lines.length - 1) / 2) * (fontSize + 6),
+            "text-anchor": "middle", "dominant-baseline": "middle",
+            fill: "white", "font-size": `${fontSize}px`, "font-weight": "bold",
+            "font-family": "monospace"
+        });
+        text.textContent = line;
+        group.appendChild(text);
+    });
+}
+
+function renderGuessForm(visuals) {
+    const form = visuals.createSVGElement('foreignObject', {
+        x: 200, y: 590, width: 600, height: 60, id: 'guess-form'
+    });
+    const wrapper = document.createElement('div');
+    wrapper.className = 'machine-guess';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'machine-guess-input';
+    input.placeholder = "Guess the rule, e.g. 2x + 1";
+    input.setAttribute('aria-label', "Your guess for the rule");
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'machine-guess-submit';
+    button.textContent = "Check";
+
+    button.addEventListener('click', () => checkGuess(visuals, input.value));
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') checkGuess(visuals, input.value);
+    });
+
+    wrapper.append(input, button);
+    form.appendChild(wrapper);
+    visuals.svg.appendChild(form);
+
+    const feedback = visuals.createSVGElement('text', {
+        id: 'guess-feedback', x: 500, y: 690, "text-anchor": "middle",
+        "font-size": "20px", fill: "#374151"
+    });
+    visuals.svg.appendChild(feedback);
+}
+
+export default {
+    type: 'function_machine',
+
+    configSchema: {
+        type: 'object',
+        required: ['inputs'],
+        properties: {
+            rule: RULE,
+            rules: { type: 'array', minItems: 1, maxItems: 3, items: RULE }, // Chained machines
+            inputs: { type: 'array', minItems: 1, items: NUMBER },
+            hideRule: BOOLEAN, // Defaults to true for "guess"
+            target: { enum: ['output', 'all', 'guess'] },
+            animationSpeed: STRING
+        }
+    },
+
+    checkConfig(config) {
+        const errors = [];
+        if (config.rule === undefined && config.rules === undefined) {
+            errors.push({ path: 'rule', message: "is required (or \"rules\" for chained machines)" });
+        }
+        const check = (rule, path) => {
+            try {
+                compileRule(rule);
+            } catch (error) {
+                errors.push({ path, message: `can't be parsed: ${error.message}` });
+            }
+        };
+        if (config.rule !== undefined) check(config.rule, 'rule');
+        if (Array.isArray(config.rules)) config.rules.forEach((rule, i) => check(rule, `rules[${i}]`));
+        return errors;
+    },
+
+    goal: {
+        hasGoal: (config) => ['output', 'all', 'guess'].includes(config.target),
+        isMet: (config, state) => {
+            const outputs = state.outputs || [];
+            if (config.target === 'guess') return !!state.ruleGuessed;
+            if (config.target === 'all') return outputs.length >= config.inputs.length;
+            return outputs.length > 0;
+        }
+    },
+
+    scenarioSchema: {
+        type: 'object',
+        required: ['input'],
+        properties: { input: NUMBER }
+    },
+
+    highlightTargets: {
+        'input-box': '#input-box',
+        'output-box': '#output-box',
+        'machine': '#machine-0',
+        'table': '#io-table'
+    },
+
+    render(visuals, config) {
+        const local = visuals.local;
+        const rules = getRules(config);
+        const hidden = config.hideRule ?? config.target === 'guess';
+
+        // Machines share the space between the input and output boxes
+        const gap = 40;
+        const width = Math.min(200, (560 - (rules.length - 1) * gap) / rules.length);
+        const start = 500 - (rules.length * width + (rules.length - 1) * gap) / 2;
+        local.machines = rules.map((rule, i) => ({
+            rule,
+            f: compileRule(rule),
+            x: start + i * (width + gap),
+            width,
+            labelId: `machine-rule-${i}`
+        }));
+        local.composite = (x) => local.machines.reduce((value, machine) => machine.f(value), x);
+
+        // 1. Input Box (Left) - Drop Zone
+        const inputBox = visuals.createSVGElement('rect', {
+            id: 'input-box', x: 100, y: 400, width: 100, height: 100,
+            fill: "#e5e7eb", rx: 10, stroke: "#9ca3af", "stroke-width": 2
+        });
+        visuals.svg.appendChild(inputBox);
+        visuals.dropZones.push({
+            id: 'input-box', x: 100, y: 400, width: 100, height: 100, label: "the machine's input",
+            targetVal: 'input', onDrop: dropInMachine
+        });
+
+        // 2. Connecting Pipes (drawn first so the machines sit on top)
+        visuals.svg.appendChild(visuals.createSVGElement('line', {
+            x1: 200, y1: 450, x2: 800, y2: 450,
+            stroke: "#6b7280", "stroke-width": 10
+        }));
+
+        // 3. Machine Bodies with Rule Text
+        local.machines.forEach((machine, i) => {
+            visuals.svg.appendChild(visuals.createSVGElement('rect', {
+                id: `machine-${i}`, x: machine.x, y: 350, width: machine.width, height: 200,
+                fill: "#3b82f6", rx: 20
+            }));
+
+            if (local.machines.length > 1) {
+                const name = visuals.createSVGElement('text', {
+                    x: machine.x + machine.width / 2, y: 335, "text-anchor": "middle",
+                    "font-size": "24px", "font-weight": "bold", fill: "#374151"
+                });
+                name.textContent = FUNCTION_NAMES[i];
+                visuals.svg.appendChild(name);
+            }
+
+            const label = visuals.createSVGElement('g', { id: machine.labelId });
+            drawRuleText(visuals, label, machine, hidden);
+            visuals.svg.appendChild(label);
+        });
+
+        // 4. Output Box (Right)
+        const outputBox = visuals.createSVGElement('rect', {
+            id: 'output-box', x: 800, y: 400, width: 100, height: 100,
+            fill: "#e5e7eb", rx: 10, stroke: "#9ca3af", "stroke-width": 2
+        });
+        visuals.svg.appendChild(outputBox);
+
+        // 5. Input/Output Table
+        visuals.svg.appendChild(visuals.createSVGElement('g', { id: 'io-table' }));
+
+        // 6. Guess-the-rule form
+        if (hidden) renderGuessForm(visuals);
+
+        // 7. Input Queue (Draggable)
+        const inputs = config.inputs || [2];
+        local.inputCount = inputs.length;
+        inputs.forEach((value, i) => {
+            const { x, y } = queuePosition(inputs, i);
+            const item = visuals.createDraggableWeight(x, y, value);
+            item.setAttribute('id', `input-item-${i}`);
+            item.setAttribute('data-name', `Number ${value}`);
+            visuals.svg.appendChild(item);
+        });
+
+        visuals.setWidgetState({ outputs: [] });
+        updateTable(visuals);
+    },
+
+    label: "Function machine",
+
+    announce(visuals, state, patch) {
+        const row = patch.outputs && patch.outputs.at(-1);
+        return row ? `${formatValue(visuals, row.input)} went in, ${formatValue(visuals, row.output)} came out` : null;
+    },
+
+    showScenario(visuals, value) {
+        // Only declarative scenarios, and not while the learner's own number is on its way
+        if (!value || typeof value !== 'object' || visuals.local.inFlight > 0) return false;
+
+        const item = visuals.createDraggableWeight(150, 450, value.input);
+        item.classList.add('scenario-item');
+        item.querySelector('rect').setAttribute('fill', '#8b5cf6');
+        visuals.svg.appendChild(item);
+        // Nothing is recorded: the item just stays in the bin until the learner's state comes back
+        animateProcess(visuals, item, () => {});
+    },
+
+    restoreState(visuals) {
+        visuals.svg.querySelectorAll('.scenario-item').forEach(item => item.remove());
+    }
+};
@@ -0,0 +1,23 @@
+/**
+ * widgets/index.js
+ * Registers the built-in widgets. Import this once before rendering or validating lessons.
+ */
+
+import { registerWidget } from './registry.js';
+import balanceScale from './balance-scale.js';
+import functionMachine from './function-machine.js';
+import coordinateGrid from './coordinate-grid.js';
+import unitCircle from './unit-circle.js';
+import slopeScanner from './slope-scanner.js';
+import riemannSum from './riemann-sum.js';
+
+export const BUILT_IN_WIDGETS = [
+    balanceScale,
+    functionMachine,
+    coordinateGrid,
+    unitCircle,
+    slopeScanner,
+    riemannSum
+];
+
+BUILT_IN_WIDGETS.forEach(registerWidget);
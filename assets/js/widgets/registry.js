@@ -0,0 +1,103 @@
+/**
+ * widgets/registry.js
+ * Registry of visual widget types. VisualManager renders whatever is registered here,
+ * and schema.js validates lessons against it, so adding a widget never means
+ * editing either of them.
+ *
+ * A widget definition:
+ *   type               The `visualType` course files use, e.g. "unit_circle". (required)
+ *   render(visuals, config)
+ *                      Draws the widget into visuals.svg. (required)
+ *   configSchema       Schema for `interactionConfig` (see schema.js), checked at load time.
+ *   checkConfig(config)
+ *                      Extra load-time checks; returns [{ path, message }] errors.
+ *   goal               { hasGoal(config), isMet(config, state) } for quiz gating.
+ *   dragStrategies     { [elementId]: { onDrag(visuals, el, x, y), onEnd(visuals, el) } }, plus
+ *                      the optional onStart, snap, constrain and onCancel hooks (see drag.js).
+ *                      Draggables without their own entry use the shared drop-zone behavior.
+ *   onDropMissed(visuals, el)
+ *                      Called when a draggable is released outside every drop zone, after
+ *                      it has gone back to where it was picked up.
+ *   keyboardStrategies { [elementId]: { label(visuals, el), value?(visuals, el), onKey(visuals, el, key) } }
+ *                      The keyboard side of dragStrategies. `label` names the focused
+ *                      draggable; `value` ({ now, min, max, text }) makes it a slider;
+ *                      onKey returns true if it handled the key (a KeyboardEvent.key).
+ *                      Draggables without an entry drop on drop zones with Enter/arrows.
+ *   label              What the widget is, for screen readers ("Unit circle").
+ *   announce(visuals, state, patch)
+ *                      What screen readers hear after the learner changes something
+ *                      ("Point P at (3, 2)"); `patch` is what just changed. Null for nothing.
+ *   showScenario(visuals, value)
+ *                      Acts out a wrong quiz answer (e.g. the scale tips). `value` is the
+ *                      hint's `scenario` object, or the raw answer when it has none.
+ *                      Returns false if there is nothing to show for it. While it shows,
+ *                      setWidgetState is ignored; animate with visuals.animateScenario
+ *                      (or a visuals.timeline, which stops when the widget is replaced).
+ *   scenarioSchema     Schema for the `scenario` objects showScenario understands.
+ *   restoreState(visuals, state)
+ *                      Puts the widget back into a state it reported (after a scenario).
+ *   highlightTargets   { [name]: selector } names course hints can highlight.
+ *   liveConfig         Config keys a lesson step may change without re-rendering (see
+ *                      VisualManager.configure). Goal-only keys need nothing else.
+ *   configure(visuals, config, changed)
+ *                      Redraws whatever the `changed` liveConfig keys affect. visuals.config
+ *                      is already the new config.
+ *
+ * Like schema.js it is DOM-free, so the Node validation script can use it.
+ */
+
+const widgets = new Map();
+
+/**
+ * @param {object} definition - See above
+ * @throws {TypeError} if the definition is malformed or the type is taken
+ */
+export function registerWidget(definition) {
+    if (!definition || typeof definition.type !== 'string' || definition.type === '') {
+        throw new TypeError("Widget definitions need a `type` string");
+    }
+    if (typeof definition.render !== 'function') {
+        throw new TypeError(`Widget "${definition.type}" needs a render(visuals, config) function`);
+    }
+    if (widgets.has(definition.type)) {
+        throw new TypeError(`Widget "${definition.type}" is already registered`);
+    }
+    widgets.set(definition.type, definition);
+}
+
+/**
+ * @returns {object|undefined} the definition registered for a visualType
+ */
+export function getWidget(type) {
+    return widgets.get(type);
+}
+
+export function getWidgetTypes() {
+    return [...widgets.keys()];
+}
+
+/**
+ * Imports third-party widget modules (a course file's `widgets` list) and registers them.
+ * Each module's default export is a definition or an array of definitions.
+ * Modules are cached by the browser, so loading the same course twice is harmless.
+ * @param {string[]} paths - Relative to `baseUrl`
+ * @param {string|URL} baseUrl - The page URL in the browser, the repo root in Node
+ */
+export async function loadWidgetModules(paths, baseUrl) {
+    for (const path of paths) {
+        let module;
+        try {
+            module = await import(new URL(path, baseUrl).href);
+        } catch (error) {
+            throw new Error(`Could not load widget module ${path}: ${error.message}`);
+        }
+
+        const definitions = [].concat(module.default || []);
+        if (definitions.length === 0) {
+            throw new Error(`Widget module ${path} has no default export`);
+        }
+        for (const definition of definitions) {
+            if (getWidget(definition.type) !== definition) registerWidget(definition);
+        }
+    }
+}
@@ -0,0 +1,533 @@
+/**
+ * widgets/riemann-sum.js
+ * Riemann sum (Integration): slide N and watch rectangles fill the area under a curve.
+ * Config: { function: "x^2/10", range: [0, 10], method?: "left", methods?: [...],
+ *           maxN?: 50, targetN?: integer, targetError?: number, showErrorChart?: boolean,
+ *           xRange?: [min, max], yRange?: [min, max], zoom?: boolean }
+ * The view starts on `xRange` (default: `range`) and `yRange` (default: fitted to the
+ * curve and y = 0); the learner can pan and zoom it unless `zoom` is false.
+ *
+ * The readout compares the sum with the exact integral; the strips between curve and
+ * shape are shaded red where the sum overestimates and amber where it falls short.
+ *
+ * Widget state: { n, dx, method, approx, exact, error } (error = approx - exact)
+ * Scenario: { n, method? } steps the slider to N (and switches method).
+ */
+
+import { toFunction, integrate } from '../expression.js';
+import { STRING, NUMBER, BOOLEAN } from '../schema.js';
+import { Viewport, drawAxes, enablePanZoom } from '../viewport.js';
+
+const METHODS = ['left', 'right', 'midpoint', 'trapezoid'];
+const METHOD_LABELS = { left: "Left", right: "Right", midpoint: "Middle", trapezoid: "Trapezoid" };
+
+const PLOT = { left: 100, top: 200, width: 800, height: 600 };
+const SLIDER = { x1: 300, x2: 700, y: 100 };
+const CHART = { left: 600, top: 840, width: 300, height: 120 };
+const DEFAULT_MAX_N = 50;
+const START_N = 2;
+const RANGE = { type: 'array', minItems: 2, maxItems: 2, items: NUMBER };
+
+const OVER_FILL = "rgba(239, 68, 68, 0.45)";
+const UNDER_FILL = "rgba(245, 158, 11, 0.45)";
+
+/**
+ * The y range that fits the Riemann plot: the values of f over the range, together with y = 0.
+ */
+function fitYRange(f, [start, end]) {
+    let minY = 0, maxY = 0;
+    for (let i = 0; i <= 100; i++) {
+        const y = f(start + (end - start) * i / 100);
+        if (!Number.isFinite(y)) continue;
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+    }
+    if (maxY - minY === 0) maxY = 1;
+    return [minY, maxY];
+}
+
+/**
+ * The approximating shape over each of the n strips, as the height of its top edge
+ * at the strip's two ends (equal unless it is a trapezoid).
+ */
+function getStrips(f, [start, end], n, method) {
+    const dx = (end - start) / n;
+    const strips = [];
+    for (let i = 0; i < n; i++) {
+        const x0 = start + i * dx;
+        const x1 = x0 + dx;
+        let y0, y1;
+        if (method === 'trapezoid') {
+            y0 = f(x0);
+            y1 = f(x1);
+        } else {
+            const sampleX = method === 'right' ? x1 : method === 'midpoint' ? x0 + dx / 2 : x0;
+            y0 = y1 = f(sampleX);
+        }
+        strips.push({ x0, x1, y0, y1 });
+    }
+    return strips;
+}
+
+function sumStrips(strips) {
+    return strips.reduce((sum, s) => {
+        const area = (s.x1 - s.x0) * (s.y0 + s.y1) / 2;
+        return Number.isFinite(area) ? sum + area : sum;
+    }, 0);
+}
+
+function approximate(f, range, n, method) {
+    return sumStrips(getStrips(f, range, n, method));
+}
+
+/**
+ * Path data for the gaps between the curve and the strips' top edges, split by
+ * which side of the curve the top edge is on.
+ */
+function errorRegions(f, strips, toScreen) {
+    const over = [];
+    const under = [];
+    const sub = Math.max(2, Math.ceil(160 / strips.length));
+
+    strips.forEach(({ x0, x1, y0, y1 }) => {
+        const top = (x) => y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+        for (let k = 0; k < sub; k++) {
+            const a = x0 + (x1 - x0) * k / sub;
+            const b = x0 + (x1 - x0) * (k + 1) / sub;
+            const fa = f(a), fb = f(b), fm = f((a + b) / 2);
+            if (![fa, fb, fm, top(a), top(b)].every(Number.isFinite)) continue;
+
+            const diff = top((a + b) / 2) - fm;
+            if (Math.abs(diff) < 1e-12) continue;
+            const p1 = toScreen(a, fa), p2 = toScreen(b, fb);
+            const p3 = toScreen(b, top(b)), p4 = toScreen(a, top(a));
+            (diff > 0 ? over : under).push(
+                `M ${p1.px} ${p1.py} L ${p2.px} ${p2.py} L ${p3.px} ${p3.py} L ${p4.px} ${p4.py} Z`
+            );
+        }
+    });
+    return { over: over.join(' '), under: under.join(' ') };
+}
+
+function updateRiemannRects(visuals, n) {
+    const { curve, range, method, exact } = visuals.local;
+    const strips = getStrips(curve, range, n, method);
+    drawStrips(visuals, strips);
+
+    const approx = sumStrips(strips);
+    const error = approx - exact;
+    updateReadout(visuals, n, approx, error);
+    updateChartMarker(visuals, n);
+    visuals.setWidgetState({ n, dx: (range[1] - range[0]) / n, method, approx, exact, error });
+}
+
+/**
+ * The strips and the shaded gaps to the curve, in the current view.
+ */
+function drawStrips(visuals, strips) {
+    const group = document.getElementById('riemann-rects');
+    if (!group) return;
+    group.innerHTML = '';
+
+    const { curve, view } = visuals.local;
+    const { toScreen } = view;
+    const axisY = toScreen(0, 0).py; // The strips stand on y = 0
+
+    strips.forEach(({ x0, x1, y0, y1 }) => {
+        if (!Number.isFinite(y0) || !Number.isFinite(y1)) return;
+        const left = toScreen(x0, y0), right = toScreen(x1, y1);
+        // Leave a 1px gap between neighbouring strips so they read as separate blocks
+        const x2 = Math.max(left.px + 1, right.px - 1);
+        group.appendChild(visuals.createSVGElement('path', {
+            d: `M ${left.px} ${axisY} L ${left.px} ${left.py} L ${x2} ${right.py} L ${x2} ${axisY} Z`,
+            fill: "rgba(59, 130, 246, 0.3)", stroke: "#2563eb", "stroke-width": 1, class: 'riemann-strip'
+        }));
+    });
+
+    const regions = errorRegions(curve, strips, toScreen);
+    group.appendChild(visuals.createSVGElement('path', { d: regions.over, fill: OVER_FILL, class: 'riemann-over' }));
+    group.appendChild(visuals.createSVGElement('path', { d: regions.under, fill: UNDER_FILL, class: 'riemann-under' }));
+}
+
+function updateReadout(visuals, n, approx, error) {
+    const { method, exact } = visuals.local;
+    const fmt = (v) => visuals.formatNumber(v);
+    const lines = [
+        `${METHOD_LABELS[method]} sum (N = ${n}) ≈ ${fmt(approx)}`,
+        `Exact area = ${fmt(exact)}`,
+        Math.abs(error) < 1e-4
+            ? "Error ≈ 0"
+            : `Error = ${error > 0 ? '+' : '−'}${fmt(Math.abs(error))} (${error > 0 ? 'overestimate' : 'underestimate'})`
+    ];
+    lines.forEach((line, i) => {
+        const text = document.getElementById(`riemann-readout-${i}`);
+        if (text) text.textContent = line;
+    });
+}
+
+/**
+ * |error| against N for the current method, drawn once per method.
+ */
+function renderErrorChart(visuals) {
+    const old = document.getElementById('riemann-error-chart');
+    if (old) old.remove();
+
+    const { curve, range, method, exact, maxN } = visuals.local;
+    const errors = [];
+    for (let n = 1; n <= maxN; n++) {
+        errors.push(Math.abs(approximate(curve, range, n, method) - exact));
+    }
+    const maxError = Math.max(...errors.filter(Number.isFinite), 1e-9);
+    const chartView = new Viewport({ box: CHART, xRange: [1, maxN], yRange: [0, maxError] });
+    const toChart = (n, err) => chartView.toScreen(n, Math.min(err, maxError));
+
+    const chart = visuals.createSVGElement('g', { id: 'riemann-error-chart' });
+    chart.appendChild(visuals.createSVGElement('path', {
+        d: `M ${CHART.left} ${CHART.top} V ${CHART.top + CHART.height} H ${CHART.left + CHART.width}`,
+        fill: "none", stroke: "#9ca3af", "stroke-width": 2
+    }));
+    const d = errors.map((err, i) => {
+        const p = toChart(i + 1, err);
+        return `${i === 0 ? 'M' : 'L'} ${p.px} ${p.py}`;
+    }).join(' ');
+    chart.appendChild(visuals.createSVGElement('path', {
+        d, fill: "none", stroke: "#ef4444", "stroke-width": 2
+    }));
+
+    const title = visuals.createSVGElement('text', {
+        x: CHART.left + CHART.width, y: CHART.top - 10, "text-anchor": "end",
+        "font-size": "18px", fill: "#6b7280"
+    });
+    title.textContent = "|error| vs N";
+    chart.appendChild(title);
+
+    const marker = visuals.createSVGElement('circle', {
+        id: 'riemann-error-marker', r: 6, fill: "#ef4444", stroke: "white", "stroke-width": 2
+    });
+    chart.appendChild(marker);
+
+    visuals.svg.appendChild(chart);
+    visuals.local.chart = { errors, toChart };
+}
+
+function updateChartMarker(visuals, n) {
+    const { chart } = visuals.local;
+    const marker = document.getElementById('riemann-error-marker');
+    if (!chart || !marker) return;
+    const p = chart.toChart(n, chart.errors[n - 1]);
+    marker.setAttribute('cx', p.px);
+    marker.setAttribute('cy', p.py);
+}
+
+function setMethod(visuals, method) {
+    const local = visuals.local;
+    local.method = method;
+    Object.entries(local.methodButtons || {}).forEach(([name, button]) => {
+        button.classList.toggle('active', name === method);
+        button.setAttribute('aria-pressed', String(name === method));
+    });
+    if (local.showErrorChart) renderErrorChart(visuals);
+    updateRiemannRects(visuals, local.n);
+}
+
+function sliderXForN(n, maxN) {
+    return SLIDER.x1 + (n - 1) / (maxN - 1) * (SLIDER.x2 - SLIDER.x1);
+}
+
+/**
+ * Moves the slider to N and redraws (the slider's own drag handler follows the pointer instead).
+ */
+function setN(visuals, n) {
+    const local = visuals.local;
+    local.n = Math.min(local.maxN, Math.max(1, n));
+    const slider = document.getElementById('riemann-slider');
+    if (slider) {
+        slider.setAttributeNS(null, "transform", `translate(${sliderXForN(local.n, local.maxN)}, ${SLIDER.y})`);
+        slider.dataset.n = local.n;
+        slider.querySelector('#slider-label').textContent = `N = ${local.n}`;
+    }
+    updateRiemannRects(visuals, local.n);
+}
+
+/**
+ * Arrow keys change N by one, Page Up and Page Down by ten, Home and End go to 1 and maxN.
+ */
+function setNByKey(visuals, el, key) {
+    const { n, maxN } = visuals.local;
+    const values = {
+        'ArrowRight': n + 1, 'ArrowUp': n + 1,
+        'ArrowLeft': n - 1, 'ArrowDown': n - 1,
+        'PageUp': n + 10, 'PageDown': n - 10,
+        'Home': 1, 'End': maxN
+    };
+    if (!(key in values)) return false;
+    setN(visuals, values[key]);
+    return true;
+}
+
+/**
+ * Follows the pointer along the slider line (see the strategy's constrain).
+ */
+function handleRiemannSliderDrag(visuals, element, x) {
+    element.setAttributeNS(null, "transform", `translate(${x}, ${SLIDER.y})`);
+
+    // 300 -> N = 1, 700 -> N = maxN
+    const { maxN } = visuals.local;
+    const percent = (x - SLIDER.x1) / (SLIDER.x2 - SLIDER.x1);
+    const n = Math.round(1 + percent * (maxN - 1));
+
+    const label = element.querySelector('#slider-label');
+    if (label) label.textContent = `N = ${n}`;
+
+    if (visuals.local.n !== n) {
+        visuals.local.n = n;
+        element.dataset.n = n;
+        updateRiemannRects(visuals, n);
+    }
+}
+
+function renderLegend(visuals) {
+    const legend = visuals.createSVGElement('g', { id: 'riemann-legend' });
+    [["Overestimate", OVER_FILL], ["Underestimate", UNDER_FILL]].forEach(([label, fill], i) => {
+        const y = 80 + i * 32;
+        legend.appendChild(visuals.createSVGElement('rect', {
+            x: 760, y: y - 14, width: 20, height: 20, fill, stroke: "#9ca3af"
+        }));
+        const text = visuals.createSVGElement('text', {
+            x: 790, y: y + 2, "font-size": "18px", fill: "#374151"
+        });
+        text.textContent = label;
+        legend.appendChild(text);
+    });
+    visuals.svg.appendChild(legend);
+}
+
+function renderReadout(visuals) {
+    const readout = visuals.createSVGElement('g', { id: 'riemann-readout' });
+    for (let i = 0; i < 3; i++) {
+        readout.appendChild(visuals.createSVGElement('text', {
+            id: `riemann-readout-${i}`, x: PLOT.left, y: 915 + i * 32,
+            "font-size": "22px", fill: i === 2 ? "#b91c1c" : "#374151",
+            "font-weight": i === 0 ? "bold" : "normal"
+        }));
+    }
+    visuals.svg.appendChild(readout);
+}
+
+function renderMethodButtons(visuals, methods) {
+    const group = visuals.createSVGElement('g', { id: 'riemann-methods' });
+    const buttons = {};
+    methods.forEach((method, i) => {
+        buttons[method] = visuals.createButton(PLOT.left + i * 115, 830, 105, METHOD_LABELS[method],
+            () => setMethod(visuals, method));
+        group.appendChild(buttons[method]);
+    });
+    visuals.svg.appendChild(group);
+    visuals.local.methodButtons = buttons;
+}
+
+export default {
+    type: 'riemann_sum',
+
+    configSchema: {
+        type: 'object',
+        properties: {
+            function: STRING,
+            range: RANGE,
+            xRange: RANGE,
+            yRange: RANGE,
+            zoom: BOOLEAN,
+            method: { type: 'string', enum: METHODS },
+            methods: { type: 'array', minItems: 1, items: { type: 'string', enum: METHODS } },
+            maxN: { type: 'integer', minimum: 2 },
+            targetN: { type: 'integer', minimum: 1 },
+            targetError: { type: 'number', minimum: 0 },
+            showErrorChart: BOOLEAN
+        }
+    },
+
+    checkConfig(config) {
+        const errors = [];
+        if (typeof config.function === 'string') {
+            try {
+                toFunction(config.function);
+            } catch (error) {
+                errors.push({ path: 'function', message: `can't be parsed: ${error.message}` });
+            }
+        }
+
+        for (const key of ['range', 'xRange', 'yRange']) {
+            const range = config[key];
+            if (Array.isArray(range) && range.length === 2 && range[0] >= range[1]) {
+                errors.push({ path: key, message: `start (${range[0]}) must be less than end (${range[1]})` });
+            }
+        }
+
+        const maxN = config.maxN || DEFAULT_MAX_N;
+        if (typeof config.targetN === 'number' && config.targetN > maxN) {
+            errors.push({ path: 'targetN', message: `can't be reached: the slider stops at N = ${maxN}` });
+        }
+        if (config.method && Array.isArray(config.methods) && !config.methods.includes(config.method)) {
+            errors.push({ path: 'method', message: `"${config.method}" is not one of the offered methods` });
+        }
+        return errors;
+    },
+
+    goal: {
+        hasGoal: (config) => typeof config.targetN === 'number' || typeof config.targetError === 'number',
+        isMet: (config, state) =>
+            (typeof config.targetN !== 'number' || state.n >= config.targetN) &&
+            (typeof config.targetError !== 'number' || Math.abs(state.error) <= config.targetError)
+    },
+
+    dragStrategies: {
+        'riemann-slider': {
+            // Stay on the slider line
+            constrain: (visuals, el, { x }) => ({ x: Math.min(SLIDER.x2, Math.max(SLIDER.x1, x)), y: SLIDER.y }),
+            onDrag: (visuals, el, x, y) => {
+                handleRiemannSliderDrag(visuals, el, x);
+            },
+            onEnd: (visuals, el) => {
+                // Goal (N, error) is checked live in handleRiemannSliderDrag
+            }
+        }
+    },
+
+    keyboardStrategies: {
+        'riemann-slider': {
+            label: () => "Number of strips N",
+            value: (visuals) => {
+                const { n, maxN } = visuals.local;
+                return { now: n, min: 1, max: maxN, text: `N = ${n}` };
+            },
+            onKey: setNByKey
+        }
+    },
+
+    label: "Riemann sum",
+
+    announce(visuals, state) {
+        const round = (value) => Math.round(value * 100) / 100;
+        return `N = ${state.n}, area ${round(state.approx)} (exact ${round(state.exact)})`;
+    },
+
+    scenarioSchema: {
+        type: 'object',
+        required: ['n'],
+        properties: { n: { type: 'integer', minimum: 1 }, method: { enum: METHODS } }
+    },
+
+    showScenario(visuals, value) {
+        if (!value || typeof value !== 'object') return false;
+        const local = visuals.local;
+        if (value.method && value.method !== local.method) setMethod(visuals, value.method);
+        const from = local.n;
+        visuals.animateScenario((t) => {
+            const n = Math.round(from + (value.n - from) * t);
+            if (n !== local.n) setN(visuals, n);
+        }, 800);
+    },
+
+    restoreState(visuals, state) {
+        const local = visuals.local;
+        local.n = state.n;
+        if (state.method !== local.method) setMethod(visuals, state.method);
+        setN(visuals, state.n);
+    },
+
+    highlightTargets: {
+        'slider': '#riemann-slider',
+        'error': '#riemann-readout-2',
+        'error-chart': '#riemann-error-chart',
+        'curve': '#riemann-curve',
+        'rects': '#riemann-rects',
+        'strip': '#riemann-rects .riemann-strip' // The first one: its width is Δx
+    },
+
+    liveConfig: ['method', 'targetN', 'targetError'],
+
+    configure(visuals, config, changed) {
+        if (changed.includes('method')) setMethod(visuals, config.method || 'left');
+    },
+
+    render(visuals, config) {
+        const local = visuals.local;
+        local.curve = toFunction(config.function || 'x^2/10');
+        local.range = config.range || [0, 10];
+        local.view = new Viewport({
+            box: PLOT,
+            xRange: config.xRange || local.range,
+            yRange: config.yRange || fitYRange(local.curve, local.range)
+        });
+        const view = local.view;
+        local.maxN = config.maxN || DEFAULT_MAX_N;
+        local.n = Math.min(START_N, local.maxN);
+        local.exact = integrate(local.curve, local.range[0], local.range[1], 1000);
+        local.showErrorChart = Boolean(config.showErrorChart);
+
+        const methods = config.methods || [config.method || 'left'];
+        const method = config.method || methods[0];
+
+        // 1. Axes: the x-axis sits at y = 0, which may be above the bottom for negative values
+        const [start, end] = local.range;
+        const axes = visuals.createSVGElement('g', { id: 'riemann-axes' });
+        visuals.svg.appendChild(axes);
+        drawAxes(visuals, view, axes);
+
+        // Strips and curve are trimmed to the plot
+        const clip = visuals.createSVGElement('clipPath', { id: 'riemann-clip' });
+        clip.appendChild(visuals.createSVGElement('rect', {
+            x: PLOT.left, y: PLOT.top, width: PLOT.width, height: PLOT.height
+        }));
+        visuals.svg.appendChild(clip);
+
+        // 2. Strips under the curve, so the curve stays on top
+        const rectGroup = visuals.createSVGElement('g', { id: 'riemann-rects', "clip-path": "url(#riemann-clip)" });
+        visuals.svg.appendChild(rectGroup);
+
+        // 3. The Curve y = f(x) over the configured range
+        const curve = visuals.createSVGElement('path', {
+            id: 'riemann-curve', fill: "none", stroke: "#3b82f6", "stroke-width": 4, "clip-path": "url(#riemann-clip)"
+        });
+        const drawCurve = () => curve.setAttribute('d', visuals.curvePath(local.curve, start, end, view.toScreen));
+        drawCurve();
+        visuals.svg.appendChild(curve);
+
+        // 4. Slider Control (N): 1 at the left end, maxN at the right
+        visuals.svg.appendChild(visuals.createSVGElement('line', {
+            x1: SLIDER.x1, y1: SLIDER.y, x2: SLIDER.x2, y2: SLIDER.y,
+            stroke: "#9ca3af", "stroke-width": 4, "stroke-linecap": "round"
+        }));
+
+        const sliderGroup = visuals.createSVGElement('g', {
+            class: 'draggable', id: 'riemann-slider',
+            transform: `translate(${sliderXForN(local.n, local.maxN)}, ${SLIDER.y})`,
+            'data-n': local.n
+        });
+        sliderGroup.appendChild(visuals.createSVGElement('circle', {
+            r: 15, fill: "#f59e0b", stroke: "white", "stroke-width": 3
+        }));
+        const label = visuals.createSVGElement('text', {
+            x: 0, y: -25, "text-anchor": "middle", "font-size": "20px", fill: "#374151",
+            "font-weight": "bold", id: 'slider-label'
+        });
+        label.textContent = `N = ${local.n}`;
+        sliderGroup.appendChild(label);
+        visuals.svg.appendChild(sliderGroup);
+
+        // 5. Legend, method buttons, readout and the optional error chart
+        renderLegend(visuals);
+        if (methods.length > 1) renderMethodButtons(visuals, methods);
+        renderReadout(visuals);
+
+        setMethod(visuals, method);
+
+        // 6. Pan and zoom
+        view.onChange(() => {
+            drawAxes(visuals, view, axes);
+            drawCurve();
+            drawStrips(visuals, getStrips(local.curve, local.range, local.n, local.method));
+        });
+        if (config.zoom !== false) enablePanZoom(visuals, view);
+    }
+};
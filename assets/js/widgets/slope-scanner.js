@@ -0,0 +1,479 @@
+/**
+ * widgets/slope-scanner.js
+ * Slope scanner (Calculus): slide a scanner along a curve and read the tangent's slope.
+ * In "secant" mode a second point sits h to the right; shrinking h with the slider
+ * shows the secant's slope closing in on the tangent's.
+ * Config: { function: "parabola" | expression in x, range?: [min, max], mode?: "tangent"|"secant",
+ *           showTangent: boolean, targetSlope?: number, tolerance?: number, targetH?: number,
+ *           xRange?: [min, max], yRange?: [min, max], zoom?: boolean }
+ * The scanner slides over `range`. The view starts on `xRange` (default: `range`) and
+ * `yRange` (default: fitted to the curve); the learner can pan and zoom it to look
+ * closely at the tangent point unless `zoom` is false.
+ *
+ * Widget state: { x, slope } plus { h, secantSlope } in secant mode.
+ * Scenario: { x, h? } slides the scanner to x (and, in secant mode, sets h).
+ */
+
+import { toFunction, derivative } from '../expression.js';
+import { STRING, NUMBER, BOOLEAN } from '../schema.js';
+import { Viewport, drawAxes, enablePanZoom } from '../viewport.js';
+
+const PLOT = { left: 150, top: 200, width: 700, height: 600 };
+const SLIDER = { left: 300, right: 700, y: 100 };
+const H_MIN = 0.001;
+const RANGE = { type: 'array', minItems: 2, maxItems: 2, items: NUMBER };
+
+/**
+ * The y range that fits the curve over [xMin, xMax]: the values f takes there (with a
+ * little padding). Near a pole (1/x) the extreme samples are dropped, or the rest of
+ * the curve would be squashed flat.
+ */
+function fitYRange(f, [xMin, xMax]) {
+    const values = [];
+    for (let i = 0; i <= 200; i++) {
+        const y = f(xMin + (xMax - xMin) * i / 200);
+        if (Number.isFinite(y)) values.push(y);
+    }
+    values.sort((a, b) => a - b);
+
+    let yMin = values.length ? values[0] : -1;
+    let yMax = values.length ? values[values.length - 1] : 1;
+    if (values.length) {
+        const low = values[Math.floor(values.length * 0.05)];
+        const high = values[Math.ceil(values.length * 0.95) - 1];
+        if (yMax - yMin > 10 * (high - low)) {
+            yMin = low;
+            yMax = high;
+        }
+    }
+    if (yMax - yMin < 1e-9) {
+        yMin -= 1;
+        yMax += 1;
+    }
+    const pad = (yMax - yMin) * 0.05;
+    return [yMin - pad, yMax + pad];
+}
+
+/**
+ * Places a line through (x, y) with slope m, reaching `reach` math units either side.
+ */
+function setLine(line, view, x, y, m, reach) {
+    if (!line) return;
+    line.style.display = Number.isFinite(m) ? '' : 'none';
+    if (!Number.isFinite(m)) return;
+    const from = view.toScreen(x - reach, y - m * reach);
+    const to = view.toScreen(x + reach, y + m * reach);
+    line.setAttribute('x1', from.px);
+    line.setAttribute('y1', from.py);
+    line.setAttribute('x2', to.px);
+    line.setAttribute('y2', to.py);
+}
+
+/**
+ * The tangent always shows in tangent mode; in secant mode `showTangent: false` hides it.
+ */
+function tangentVisibility(config) {
+    return config.showTangent !== false || config.mode !== 'secant' ? 'visible' : 'hidden';
+}
+
+/**
+ * Numeric slopes are never exactly 0; don't show "-0.00" at the bottom of a curve.
+ */
+function formatSlope(m, digits) {
+    return (Math.abs(m) < 0.5 * Math.pow(10, -digits) ? 0 : m).toFixed(digits);
+}
+
+/**
+ * Moves the scanner to x (and the secant's second point to x + h) and reports the slopes.
+ */
+function updateScanner(visuals, mathX) {
+    const local = visuals.local;
+    const { domain } = local;
+
+    // Clamp X to the scan range (leaving room for the second point)
+    const xMax = local.mode === 'secant' ? domain[1] - local.h : domain[1];
+    mathX = Math.min(xMax, Math.max(domain[0], mathX));
+
+    if (!Number.isFinite(local.curve(mathX))) return; // Off the curve's domain; stay where we were
+    local.x = mathX;
+
+    const { m, secantSlope } = drawScanner(visuals);
+    if (local.mode === 'secant') {
+        visuals.setWidgetState({ x: mathX, slope: m, h: local.h, secantSlope });
+    } else {
+        visuals.setWidgetState({ x: mathX, slope: m });
+    }
+}
+
+/**
+ * Draws the scanner, lines and readouts for the current x and h in the current view.
+ * The scanner hides while its point is panned out of view.
+ * @returns {{ m: number, secantSlope?: number }}
+ */
+function drawScanner(visuals) {
+    const { curve: f, view, x: mathX, h } = visuals.local;
+    const mathY = f(mathX);
+
+    const { px, py } = view.toScreen(mathX, mathY);
+    const scanner = document.getElementById('slope-scanner');
+    if (scanner) {
+        scanner.setAttributeNS(null, "transform", `translate(${px}, ${py})`);
+        scanner.style.display = view.contains(mathX, mathY) ? '' : 'none';
+    }
+
+    // Calculate Slope and Update Tangent
+    const m = derivative(f, mathX);
+    const reach = 100 / view.xScale; // about 100px either side
+    setLine(document.getElementById('tangent-line'), view, mathX, mathY, m, reach);
+
+    if (visuals.local.mode !== 'secant') {
+        const readout = document.getElementById('slope-readout');
+        if (readout) readout.textContent = `Slope: ${formatSlope(m, 1)}`;
+        return { m };
+    }
+
+    // Secant through (x, f(x)) and (x + h, f(x + h)), drawn across the whole view
+    const qY = f(mathX + h);
+    const secantSlope = (qY - mathY) / h;
+    const q = view.toScreen(mathX + h, qY);
+    const qPoint = document.getElementById('secant-point');
+    if (qPoint) {
+        qPoint.style.display = Number.isFinite(qY) && view.contains(mathX + h, qY) ? '' : 'none';
+        qPoint.setAttribute('cx', q.px);
+        qPoint.setAttribute('cy', q.py);
+    }
+    const across = Math.max(view.xMax - mathX, mathX - view.xMin);
+    setLine(document.getElementById('secant-line'), view, mathX, mathY, secantSlope, across);
+
+    const readout = document.getElementById('secant-readout');
+    if (readout) {
+        const digits = h < 0.01 ? 4 : 2;
+        readout.textContent = `h = ${visuals.formatNumber(h)}    secant slope = ${formatSlope(secantSlope, digits)}    tangent slope = ${formatSlope(m, digits)}`;
+    }
+    return { m, secantSlope };
+}
+
+function handleSlopeScannerDrag(visuals, element, rawX, rawY) {
+    // Constrain to the curve y = f(x): only the pointer's x matters, kept in view
+    const { view } = visuals.local;
+    const { x } = view.toMath(Math.min(PLOT.left + PLOT.width, Math.max(PLOT.left, rawX)), rawY);
+    updateScanner(visuals, x);
+}
+
+/**
+ * The h slider runs from hMax (left) down to almost 0 (right). It is quadratic so
+ * the last stretch toward 0 gets most of the track.
+ */
+function handleHSliderDrag(visuals, element, x) {
+    element.setAttributeNS(null, "transform", `translate(${x}, ${SLIDER.y})`);
+
+    const remaining = (SLIDER.right - x) / (SLIDER.right - SLIDER.left);
+    visuals.local.h = Math.max(H_MIN, Math.round(visuals.local.hMax * remaining * remaining * 1e4) / 1e4);
+    updateScanner(visuals, visuals.local.x);
+}
+
+/**
+ * Sets h and moves the slider's handle to match (the inverse of handleHSliderDrag).
+ */
+function setH(visuals, h) {
+    const local = visuals.local;
+    local.h = Math.min(local.hMax, Math.max(H_MIN, h));
+    const remaining = Math.sqrt(local.h / local.hMax);
+    const slider = document.getElementById('h-slider');
+    if (slider) {
+        slider.setAttributeNS(null, "transform", `translate(${SLIDER.right - remaining * (SLIDER.right - SLIDER.left)}, ${SLIDER.y})`);
+    }
+}
+
+/**
+ * Arrow keys move the scanner a sixtieth of the range, Page Up and Page Down a tenth
+ * of it, Home and End to either end.
+ */
+function moveScannerByKey(visuals, el, key) {
+    const { domain, x } = visuals.local;
+    const step = (domain[1] - domain[0]) / 60;
+    const moves = {
+        'ArrowRight': x + step, 'ArrowUp': x + step,
+        'ArrowLeft': x - step, 'ArrowDown': x - step,
+        'PageUp': x + step * 6, 'PageDown': x - step * 6,
+        'Home': domain[0], 'End': domain[1]
+    };
+    if (!(key in moves)) return false;
+    updateScanner(visuals, Math.round(moves[key] * 1e6) / 1e6);
+    return true;
+}
+
+/**
+ * Right and Down halve h (the handle moves right, toward 0), Left and Up double it;
+ * Home and End go to the largest and smallest h.
+ */
+function setHByKey(visuals, el, key) {
+    const { h, hMax } = visuals.local;
+    const values = {
+        'ArrowRight': h / 2, 'ArrowDown': h / 2,
+        'ArrowLeft': h * 2, 'ArrowUp': h * 2,
+        'Home': hMax, 'End': H_MIN
+    };
+    if (!(key in values)) return false;
+    setH(visuals, values[key]);
+    updateScanner(visuals, visuals.local.x);
+    return true;
+}
+
+export default {
+    type: 'slope_scanner',
+
+    configSchema: {
+        type: 'object',
+        properties: {
+            function: STRING,
+            range: RANGE,
+            xRange: RANGE,
+            yRange: RANGE,
+            zoom: BOOLEAN,
+            mode: { enum: ['tangent', 'secant'] },
+            showTangent: BOOLEAN,
+            targetSlope: NUMBER,
+            tolerance: { type: 'number', minimum: 0 },
+            targetH: { type: 'number', minimum: 0 } // Secant mode: shrink h to at most this
+        }
+    },
+
+    checkConfig(config) {
+        const errors = [];
+        if (typeof config.function === 'string') {
+            try {
+                toFunction(config.function);
+            } catch (error) {
+                errors.push({ path: 'function', message: `can't be parsed: ${error.message}` });
+            }
+        }
+
+        for (const key of ['range', 'xRange', 'yRange']) {
+            const range = config[key];
+            if (Array.isArray(range) && range.length === 2 && range[0] >= range[1]) {
+                errors.push({ path: key, message: `start (${range[0]}) must be less than end (${range[1]})` });
+            }
+        }
+        if (typeof config.targetH === 'number' && config.mode !== 'secant') {
+            errors.push({ path: 'targetH', message: "only applies to \"mode\": \"secant\"" });
+        }
+        return errors;
+    },
+
+    goal: {
+        hasGoal: (config) => typeof config.targetSlope === 'number' || typeof config.targetH === 'number',
+        isMet: (config, state) => {
+            if (typeof config.targetSlope === 'number' &&
+                !(Math.abs(state.slope - config.targetSlope) <= (config.tolerance ?? 0.15))) {
+                return false;
+            }
+            return typeof config.targetH !== 'number' || state.h <= config.targetH;
+        }
+    },
+
+    dragStrategies: {
+        'slope-scanner': {
+            onDrag: (visuals, el, x, y) => {
+                handleSlopeScannerDrag(visuals, el, x, y);
+            },
+            onEnd: (visuals, el) => {
+                // No specific end logic, stays on curve
+            }
+        },
+        'h-slider': {
+            // Stay on the slider line
+            constrain: (visuals, el, { x }) => ({ x: Math.min(SLIDER.right, Math.max(SLIDER.left, x)), y: SLIDER.y }),
+            onDrag: (visuals, el, x, y) => {
+                handleHSliderDrag(visuals, el, x);
+            },
+            onEnd: (visuals, el) => {
+                // Goal (h <= targetH) is checked live in updateScanner
+            }
+        }
+    },
+
+    keyboardStrategies: {
+        'slope-scanner': {
+            label: () => "Point on the curve. Arrow keys move it along the curve, Home and End to either end.",
+            value: (visuals) => {
+                const { domain, x } = visuals.local;
+                return {
+                    now: x, min: domain[0], max: domain[1],
+                    text: `x = ${visuals.formatNumber(x)}, slope ${formatSlope(visuals.widgetState.slope, 2)}`
+                };
+            },
+            onKey: moveScannerByKey
+        },
+        'h-slider': {
+            label: () => "Gap h between the two points. Right arrow halves it, Left arrow doubles it.",
+            value: (visuals) => {
+                const { h, hMax } = visuals.local;
+                return { now: h, min: H_MIN, max: hMax, text: `h = ${visuals.formatNumber(h)}` };
+            },
+            onKey: setHByKey
+        }
+    },
+
+    label: "Slope scanner",
+
+    announce(visuals, state) {
+        if (visuals.local.mode !== 'secant') {
+            return `x = ${visuals.formatNumber(state.x)}, slope ${formatSlope(state.slope, 2)}`;
+        }
+        return `h = ${visuals.formatNumber(state.h)}, secant slope ${formatSlope(state.secantSlope, 2)}, ` +
+            `tangent slope ${formatSlope(state.slope, 2)}`;
+    },
+
+    scenarioSchema: {
+        type: 'object',
+        required: ['x'],
+        properties: { x: NUMBER, h: { type: 'number', minimum: 0 } }
+    },
+
+    showScenario(visuals, value) {
+        if (!value || typeof value !== 'object') return false;
+        const local = visuals.local;
+        const secant = local.mode === 'secant' && typeof value.h === 'number';
+        const from = { x: local.x, h: local.h };
+        visuals.animateScenario((t) => {
+            if (secant) setH(visuals, from.h + (value.h - from.h) * t);
+            updateScanner(visuals, from.x + (value.x - from.x) * t);
+        });
+    },
+
+    restoreState(visuals, state) {
+        if (visuals.local.mode === 'secant') setH(visuals, state.h);
+        updateScanner(visuals, state.x);
+    },
+
+    highlightTargets: {
+        'tangent': '#tangent-line',
+        'secant': '#secant-line',
+        'h-slider': '#h-slider circle',
+        'scanner': '#slope-scanner'
+    },
+
+    liveConfig: ['showTangent', 'targetSlope', 'tolerance', 'targetH'],
+
+    configure(visuals, config, changed) {
+        if (changed.includes('showTangent')) {
+            document.getElementById('tangent-line').setAttribute('visibility', tangentVisibility(config));
+        }
+    },
+
+    render(visuals, config) {
+        const local = visuals.local;
+        local.curve = toFunction(config.function || 'parabola');
+        local.mode = config.mode || 'tangent';
+        local.domain = config.range || [-3, 3];
+        local.view = new Viewport({
+            box: PLOT,
+            xRange: config.xRange || local.domain,
+            yRange: config.yRange || fitYRange(local.curve, config.xRange || local.domain)
+        });
+        const view = local.view;
+
+        // 1. Axes, at zero when it is in view, otherwise along the plot's edge
+        const axes = visuals.createSVGElement('g', { id: 'slope-axes' });
+        visuals.svg.appendChild(axes);
+        drawAxes(visuals, view, axes);
+
+        // Lines run long; trim them to the plot
+        const clip = visuals.createSVGElement('clipPath', { id: 'slope-clip' });
+        clip.appendChild(visuals.createSVGElement('rect', {
+            x: PLOT.left, y: PLOT.top, width: PLOT.width, height: PLOT.height
+        }));
+        visuals.svg.appendChild(clip);
+
+        // Function Curve y = f(x), across whatever is in view
+        const curve = visuals.createSVGElement('path', {
+            fill: "none", stroke: "#3b82f6", "stroke-width": 4, "clip-path": "url(#slope-clip)"
+        });
+        const drawCurve = () => curve.setAttribute('d', visuals.curvePath(local.curve, view.xMin, view.xMax, view.toScreen, 200));
+        drawCurve();
+        visuals.svg.appendChild(curve);
+
+        // 2. Tangent Line (Dynamic); faint behind the secant in secant mode
+        const tangentGroup = visuals.createSVGElement('g', { id: 'tangent-group', "clip-path": "url(#slope-clip)" });
+        tangentGroup.appendChild(visuals.createSVGElement('line', {
+            id: 'tangent-line', x1: 0, y1: 0, x2: 0, y2: 0,
+            stroke: "#ef4444", "stroke-width": 2, "stroke-dasharray": "5,5",
+            opacity: local.mode === 'secant' ? 0.6 : 1, visibility: tangentVisibility(config)
+        }));
+        visuals.svg.appendChild(tangentGroup);
+
+        // 3. Secant mode: second point, secant line, h slider and readout
+        if (local.mode === 'secant') {
+            local.hMax = (local.domain[1] - local.domain[0]) / 3;
+            local.h = local.hMax;
+
+            tangentGroup.appendChild(visuals.createSVGElement('line', {
+                id: 'secant-line', stroke: "#8b5cf6", "stroke-width": 3
+            }));
+            visuals.svg.appendChild(visuals.createSVGElement('circle', {
+                id: 'secant-point', r: 10, fill: "#8b5cf6", stroke: "white", "stroke-width": 3
+            }));
+
+            visuals.svg.appendChild(visuals.createSVGElement('line', {
+                x1: SLIDER.left, y1: SLIDER.y, x2: SLIDER.right, y2: SLIDER.y,
+                stroke: "#9ca3af", "stroke-width": 4, "stroke-linecap": "round"
+            }));
+            const hSlider = visuals.createSVGElement('g', {
+                class: 'draggable', id: 'h-slider', transform: `translate(${SLIDER.left}, ${SLIDER.y})`
+            });
+            hSlider.appendChild(visuals.createSVGElement('circle', {
+                r: 15, fill: "#8b5cf6", stroke: "white", "stroke-width": 3
+            }));
+            const hLabel = visuals.createSVGElement('text', {
+                x: 0, y: -25, "text-anchor": "middle", "font-size": "20px", fill: "#374151",
+                "font-weight": "bold", "pointer-events": "none"
+            });
+            hLabel.textContent = "h";
+            hSlider.appendChild(hLabel);
+            visuals.svg.appendChild(hSlider);
+
+            const readout = visuals.createSVGElement('text', {
+                id: 'secant-readout', x: 500, y: 160, "text-anchor": "middle",
+                "font-size": "22px", fill: "#374151", "font-weight": "bold"
+            });
+            visuals.svg.appendChild(readout);
+        }
+
+        // 4. Scanner Tool (Draggable)
+        const scannerGroup = visuals.createSVGElement('g', {
+            class: 'draggable', id: 'slope-scanner'
+        });
+
+        // Magnifying glass look
+        scannerGroup.appendChild(visuals.createSVGElement('circle', {
+            r: 30, fill: "rgba(255,255,255,0.5)", stroke: "#374151", "stroke-width": 3
+        }));
+        scannerGroup.appendChild(visuals.createSVGElement('circle', {
+            r: 4, fill: "#374151" // Center dot
+        }));
+
+        // Slope Readout (tangent mode; secant mode has its own readout line)
+        if (local.mode === 'tangent') {
+            const readout = visuals.createSVGElement('text', {
+                x: 40, y: -40, "font-size": "24px", fill: "#374151", "font-weight": "bold",
+                id: 'slope-readout'
+            });
+            readout.textContent = "Slope: 0.0";
+            scannerGroup.appendChild(readout);
+        }
+
+        visuals.svg.appendChild(scannerGroup);
+
+        // Start off-center so the learner has to find the flat spot themselves
+        updateScanner(visuals, local.domain[0] + (local.domain[1] - local.domain[0]) / 6);
+
+        // 5. Pan and zoom
+        view.onChange(() => {
+            drawAxes(visuals, view, axes);
+            drawCurve();
+            drawScanner(visuals);
+        });
+        if (config.zoom !== false) enablePanZoom(visuals, view);
+    }
+};
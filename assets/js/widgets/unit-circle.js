@@ -0,0 +1,474 @@
+/**
+ * widgets/unit-circle.js
+ * Unit circle: drag a point around the circle and watch its sine/cosine projections,
+ * the angle in degrees and radians, and (optionally) the sine and cosine waves the
+ * rotation traces out.
+ * Config: { showSine: boolean, showCosine: boolean, showTangent?: boolean, showWave?: boolean,
+ *           snap?: boolean, angleUnit?: "degrees"|"radians"|"both",
+ *           targetAngle?: number, tolerance?: number }
+ *
+ * Widget state: { angle (degrees, 0-360 counterclockwise), radians, sin, cos, special }
+ * `special` is true when the handle sits on a special angle (a multiple of 30° or 45°).
+ * Scenario: { angle } (degrees) turns the handle there the short way round.
+ */
+
+import { NUMBER, BOOLEAN } from '../schema.js';
+import { Viewport } from '../viewport.js';
+
+const SNAP_DISTANCE = 5; // degrees
+const WAVE = { left: 480, width: 460 }; // one full turn (0 to 2π) across the wave panel
+
+// Exact values in the first quadrant, by reference angle
+const EXACT_SIN = { 0: '0', 30: '1/2', 45: '√2/2', 60: '√3/2', 90: '1' };
+const EXACT_TAN = { 0: '0', 30: '√3/3', 45: '1', 60: '√3' };
+
+function isSpecialAngle(degrees) {
+    return degrees % 30 === 0 || degrees % 45 === 0;
+}
+
+/**
+ * The whole-degree special angle the handle sits on, or null.
+ */
+function getSpecialAngle(degrees) {
+    const rounded = Math.round(degrees) % 360;
+    return Math.abs(degrees - Math.round(degrees)) < 1e-9 && isSpecialAngle(rounded) ? rounded : null;
+}
+
+/**
+ * Exact sine of a special angle ("-√3/2"), from its reference angle and quadrant.
+ */
+function exactSin(degrees) {
+    const reference = degrees % 180 <= 90 ? degrees % 180 : 180 - degrees % 180;
+    const value = EXACT_SIN[reference];
+    return degrees > 180 && value !== '0' ? `-${value}` : value;
+}
+
+function exactCos(degrees) {
+    return exactSin((degrees + 90) % 360);
+}
+
+function exactTan(degrees) {
+    if (degrees % 180 === 90) return "undefined";
+    const reference = degrees % 180 <= 90 ? degrees % 180 : 180 - degrees % 180;
+    const value = EXACT_TAN[reference];
+    // tan is positive in the first and third quadrants
+    const negative = (degrees % 180) > 90;
+    return negative && value !== '0' ? `-${value}` : value;
+}
+
+/**
+ * A special angle in radians: "π/4", "3π/2", "0".
+ */
+function formatRadians(degrees) {
+    if (degrees === 0) return '0';
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const divisor = gcd(degrees, 180);
+    const numerator = degrees / divisor;
+    const denominator = 180 / divisor;
+    return `${numerator === 1 ? '' : numerator}π${denominator === 1 ? '' : `/${denominator}`}`;
+}
+
+/**
+ * Circle geometry, with views for the circle (-1..1 each way) and the wave panel
+ * (θ from 0 to 2π). With the wave panel the circle moves left to make room for it.
+ */
+function getLayout(config) {
+    const { cx, cy, r } = config.showWave
+        ? { cx: 250, cy: 500, r: 150 }
+        : { cx: 500, cy: 500, r: 200 };
+    return {
+        cx, cy, r,
+        circle: new Viewport({ box: { left: cx - r, top: cy - r, width: 2 * r, height: 2 * r }, xRange: [-1, 1], yRange: [-1, 1] }),
+        wave: new Viewport({ box: { left: WAVE.left, top: cy - r, width: WAVE.width, height: 2 * r }, xRange: [0, 2 * Math.PI], yRange: [-1, 1] })
+    };
+}
+
+function handleUnitCircleDrag(visuals, element, rawX, rawY) {
+    const { x, y } = visuals.local.layout.circle.toMath(rawX, rawY);
+
+    // Angle from center, counterclockwise like in math
+    let degrees = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+
+    if (visuals.config.snap) {
+        const nearest = [...Array(24).keys()]
+            .map(i => i * 15)
+            .filter(isSpecialAngle)
+            .concat(360)
+            .find(angle => Math.abs(angle - degrees) <= SNAP_DISTANCE);
+        if (nearest !== undefined) degrees = nearest % 360;
+    }
+
+    setAngle(visuals, degrees);
+}
+
+/**
+ * Arrow keys turn the handle to the next multiple of 15° (Up and Right counterclockwise,
+ * like the angle grows), Page Up and Page Down a quarter turn, Home back to 0°.
+ */
+function turnByKey(visuals, el, key) {
+    const angle = visuals.widgetState.angle || 0;
+    const turns = {
+        'ArrowUp': Math.floor(angle / 15) * 15 + 15,
+        'ArrowRight': Math.floor(angle / 15) * 15 + 15,
+        'ArrowDown': Math.ceil(angle / 15) * 15 - 15,
+        'ArrowLeft': Math.ceil(angle / 15) * 15 - 15,
+        'PageUp': angle + 90,
+        'PageDown': angle - 90,
+        'Home': 0
+    };
+    if (!(key in turns)) return false;
+    setAngle(visuals, (turns[key] % 360 + 360) % 360);
+    return true;
+}
+
+/**
+ * "sine 0.71, cosine 0.71" with two decimals (and no "-0").
+ */
+function describeTrig(state) {
+    const round = (value) => Math.round(value * 100) / 100 || 0;
+    return `sine ${round(state.sin)}, cosine ${round(state.cos)}`;
+}
+
+/**
+ * Moves the handle to an angle and updates every projection, readout and trace.
+ */
+function setAngle(visuals, degrees) {
+    const theta = degrees * Math.PI / 180;
+    const { px: x, py: y } = visuals.local.layout.circle.toScreen(Math.cos(theta), Math.sin(theta));
+
+    const handle = document.getElementById('trig-handle');
+    if (handle) handle.setAttributeNS(null, "transform", `translate(${x}, ${y})`);
+
+    updateTrigProjections(visuals, x, y, theta);
+    updateReadouts(visuals, degrees);
+    updateWave(visuals, degrees);
+
+    visuals.setWidgetState({
+        angle: degrees,
+        radians: theta,
+        sin: Math.sin(theta),
+        cos: Math.cos(theta),
+        special: getSpecialAngle(degrees) !== null
+    });
+}
+
+function updateTrigProjections(visuals, x, y, theta) {
+    const { circle } = visuals.local.layout;
+    const { px: cx, py: cy } = circle.toScreen(0, 0);
+    const tanX = circle.toScreen(1, 0).px;
+    const sinLine = document.getElementById('sin-line');
+    const cosLine = document.getElementById('cos-line');
+
+    // Sine is the vertical distance from the x-axis: point (x,y) down to (x, cy)
+    if (sinLine) {
+        sinLine.setAttribute('x1', x);
+        sinLine.setAttribute('y1', y);
+        sinLine.setAttribute('x2', x);
+        sinLine.setAttribute('y2', cy);
+    }
+
+    // Cosine runs along the x-axis: origin to (x, cy), completing the triangle
+    if (cosLine) {
+        cosLine.setAttribute('x1', cx);
+        cosLine.setAttribute('y1', cy);
+        cosLine.setAttribute('x2', x);
+        cosLine.setAttribute('y2', cy);
+    }
+
+    // Tangent: the vertical line x = 1, from the axis to where the line through the
+    // origin and the point meets it (hidden near 90° and 270°, where it runs off forever)
+    const tanLine = document.getElementById('tan-line');
+    const tanRay = document.getElementById('tan-ray');
+    if (tanLine && tanRay) {
+        const tan = Math.tan(theta);
+        const visible = Math.abs(Math.cos(theta)) > 1e-9 && Math.abs(tan) < 3;
+        const tanY = circle.toScreen(1, tan).py;
+        for (const el of [tanLine, tanRay]) el.style.display = visible ? '' : 'none';
+        if (visible) {
+            tanLine.setAttribute('x1', tanX);
+            tanLine.setAttribute('y1', cy);
+            tanLine.setAttribute('x2', tanX);
+            tanLine.setAttribute('y2', tanY);
+
+            // On the left half the line runs from the point back through the origin
+            const start = Math.cos(theta) >= 0 ? { x: cx, y: cy } : { x, y };
+            tanRay.setAttribute('x1', start.x);
+            tanRay.setAttribute('y1', start.y);
+            tanRay.setAttribute('x2', tanX);
+            tanRay.setAttribute('y2', tanY);
+        }
+    }
+}
+
+function updateReadouts(visuals, degrees) {
+    const info = document.getElementById('trig-info');
+    if (!info) return;
+
+    const config = visuals.config;
+    const theta = degrees * Math.PI / 180;
+    const special = getSpecialAngle(degrees);
+    const approx = (value) => (Math.abs(value) < 0.005 ? 0 : value).toFixed(2);
+    const value = (exactValue, numeric) => {
+        if (special === null) return approx(numeric);
+        const exact = exactValue(special);
+        return /√|\//.test(exact) ? `${exact} ≈ ${approx(numeric)}` : exact;
+    };
+
+    const unit = config.angleUnit || 'both';
+    const angleParts = [];
+    if (unit !== 'radians') angleParts.push(`${special ?? degrees.toFixed(1)}°`);
+    if (unit !== 'degrees') {
+        angleParts.push(special === null ? `${approx(theta)} rad` : formatRadians(special));
+    }
+
+    const lines = [`θ = ${angleParts.join(' = ')}`];
+    if (config.showSine) lines.push(`sin θ = ${value(exactSin, Math.sin(theta))}`);
+    if (config.showCosine) lines.push(`cos θ = ${value(exactCos, Math.cos(theta))}`);
+    if (config.showTangent) {
+        const tan = Math.abs(Math.cos(theta)) < 1e-9 ? "undefined" : value(exactTan, Math.tan(theta));
+        lines.push(`tan θ = ${tan}`);
+    }
+
+    info.innerHTML = '';
+    lines.forEach((line, i) => {
+        const text = visuals.createSVGElement('text', {
+            x: 110, y: 150 + i * 34, "font-size": "24px", fill: "#374151",
+            "font-weight": i === 0 ? "bold" : "normal"
+        });
+        text.textContent = line;
+        info.appendChild(text);
+    });
+}
+
+/**
+ * Unrolls the rotation: sin θ and cos θ from 0 up to the current angle, with a
+ * dashed link from the point on the circle to the wave's leading edge.
+ */
+function updateWave(visuals, degrees) {
+    if (!visuals.config.showWave) return;
+    const { circle, wave } = visuals.local.layout;
+    const config = visuals.config;
+    const { toScreen } = wave;
+    const end = degrees * Math.PI / 180;
+
+    const traces = [
+        { id: 'sin-trace', show: config.showSine || !config.showCosine, f: Math.sin },
+        { id: 'cos-trace', show: config.showCosine, f: Math.cos }
+    ];
+    for (const trace of traces) {
+        const path = document.getElementById(trace.id);
+        const dot = document.getElementById(`${trace.id}-dot`);
+        if (!path || !trace.show) continue;
+
+        const steps = Math.max(1, Math.ceil(degrees / 3));
+        path.setAttribute('d', end > 0 ? visuals.curvePath(trace.f, 0, end, toScreen, steps) : '');
+        const tip = toScreen(end, trace.f(end));
+        dot.setAttribute('cx', tip.px);
+        dot.setAttribute('cy', tip.py);
+    }
+
+    // The sine's height carries straight across from the circle to the wave
+    const link = document.getElementById('wave-link');
+    if (link) {
+        const from = circle.toScreen(Math.cos(end), Math.sin(end));
+        link.setAttribute('x1', from.px);
+        link.setAttribute('y1', from.py);
+        link.setAttribute('x2', toScreen(end, 0).px);
+        link.setAttribute('y2', from.py);
+    }
+}
+
+function renderWavePanel(visuals, config, layout) {
+    const { cy, r, wave } = layout;
+    const panel = visuals.createSVGElement('g', { id: 'trig-wave' });
+
+    // Axes: θ along the bottom line, values -1..1 up the left
+    panel.appendChild(visuals.createSVGElement('line', {
+        x1: WAVE.left, y1: cy, x2: WAVE.left + WAVE.width, y2: cy, stroke: "#9ca3af", "stroke-width": 1
+    }));
+    panel.appendChild(visuals.createSVGElement('line', {
+        x1: WAVE.left, y1: cy - r - 20, x2: WAVE.left, y2: cy + r + 20, stroke: "#9ca3af", "stroke-width": 1
+    }));
+    const labels = [['π/2', Math.PI / 2], ['π', Math.PI], ['3π/2', 3 * Math.PI / 2], ['2π', 2 * Math.PI]];
+    for (const [text, theta] of labels) {
+        const label = visuals.createSVGElement('text', {
+            x: wave.toScreen(theta, 0).px, y: cy + r + 45, "text-anchor": "middle",
+            "font-size": "18px", fill: "#6b7280"
+        });
+        label.textContent = text;
+        panel.appendChild(label);
+    }
+
+    // The link from the circle, then the traces (sine blue, cosine green like the projections)
+    panel.appendChild(visuals.createSVGElement('line', {
+        id: 'wave-link', stroke: "#3b82f6", "stroke-width": 1, "stroke-dasharray": "4,4"
+    }));
+    const traces = [
+        ['sin-trace', "#3b82f6", config.showSine || !config.showCosine],
+        ['cos-trace', "#10b981", config.showCosine]
+    ];
+    for (const [id, color, show] of traces) {
+        if (!show) continue;
+        panel.appendChild(visuals.createSVGElement('path', {
+            id, d: '', fill: "none", stroke: color, "stroke-width": 4
+        }));
+        panel.appendChild(visuals.createSVGElement('circle', {
+            id: `${id}-dot`, r: 7, fill: color
+        }));
+    }
+
+    visuals.svg.appendChild(panel);
+}
+
+export default {
+    type: 'unit_circle',
+
+    configSchema: {
+        type: 'object',
+        properties: {
+            showSine: BOOLEAN,
+            showCosine: BOOLEAN,
+            showTangent: BOOLEAN,
+            showWave: BOOLEAN, // Trace sin θ / cos θ beside the circle
+            snap: BOOLEAN, // Snap to multiples of 30° and 45°
+            angleUnit: { enum: ['degrees', 'radians', 'both'] },
+            targetAngle: NUMBER,
+            tolerance: { type: 'number', minimum: 0 }
+        }
+    },
+
+    goal: {
+        hasGoal: (config) => typeof config.targetAngle === 'number',
+        isMet: (config, state) => {
+            const tolerance = config.tolerance ?? 5;
+            // Compare on the circle so 359° counts as close to 0°
+            const diff = Math.abs(((state.angle - config.targetAngle) % 360 + 540) % 360 - 180);
+            return diff <= tolerance;
+        }
+    },
+
+    dragStrategies: {
+        'trig-handle': {
+            onDrag: (visuals, el, x, y) => {
+                // Critical Fix: Call the Unit Circle constraint logic
+                handleUnitCircleDrag(visuals, el, x, y);
+            },
+            onEnd: (visuals, el) => {
+                // No specific end logic, stays on circle
+            }
+        }
+    },
+
+    keyboardStrategies: {
+        'trig-handle': {
+            label: () => "Angle. Arrow keys turn it 15 degrees, Page Up and Page Down a quarter turn, Home back to 0.",
+            value: (visuals) => {
+                const state = visuals.widgetState;
+                return {
+                    now: Math.round(state.angle * 10) / 10, min: 0, max: 360,
+                    text: `${Math.round(state.angle)} degrees, ${describeTrig(state)}`
+                };
+            },
+            onKey: turnByKey
+        }
+    },
+
+    label: "Unit circle",
+
+    announce(visuals, state) {
+        return `Angle ${Math.round(state.angle)}°, ${describeTrig(state)}`;
+    },
+
+    scenarioSchema: {
+        type: 'object',
+        required: ['angle'],
+        properties: { angle: NUMBER }
+    },
+
+    showScenario(visuals, value) {
+        if (!value || typeof value !== 'object') return false;
+        const from = visuals.widgetState.angle || 0;
+        const turn = ((value.angle - from) % 360 + 540) % 360 - 180; // -180..180
+        visuals.animateScenario((t) => setAngle(visuals, ((from + turn * t) % 360 + 360) % 360));
+    },
+
+    restoreState(visuals, state) {
+        setAngle(visuals, state.angle || 0);
+    },
+
+    highlightTargets: {
+        'y-axis-line': '#sin-line',
+        'x-axis-line': '#cos-line',
+        'tangent': '#tan-line',
+        'wave': '#sin-trace',
+        'handle': '#trig-handle'
+    },
+
+    liveConfig: ['targetAngle', 'tolerance', 'snap'], // The goal and snapping are read as they are used
+
+    render(visuals, config) {
+        const layout = getLayout(config);
+        const { cx, cy, r } = layout;
+        visuals.local.layout = layout;
+
+        // 1. Axes/Grid Background
+        visuals.svg.appendChild(visuals.createSVGElement('rect', {
+            x: 100, y: 100, width: 800, height: 800, fill: "#f8fafc"
+        }));
+
+        const reach = r + 100;
+        visuals.svg.appendChild(visuals.createSVGElement('line', {
+            x1: cx, y1: cy - reach, x2: cx, y2: cy + reach, stroke: "#9ca3af", "stroke-width": 1
+        }));
+        visuals.svg.appendChild(visuals.createSVGElement('line', {
+            x1: Math.max(100, cx - reach), y1: cy, x2: cx + reach, y2: cy, stroke: "#9ca3af", "stroke-width": 1
+        }));
+
+        // The Circle
+        visuals.svg.appendChild(visuals.createSVGElement('circle', {
+            cx, cy, r,
+            fill: "none", stroke: "#374151", "stroke-width": 3
+        }));
+
+        // 2. Projections (Sine/Cosine/Tangent lines)
+        // Groups to hold them so we can update
+        const projectionGroup = visuals.createSVGElement('g', { id: 'trig-projections' });
+        visuals.svg.appendChild(projectionGroup);
+
+        if (config.showTangent) {
+            projectionGroup.appendChild(visuals.createSVGElement('line', {
+                id: 'tan-ray', stroke: "#f59e0b", "stroke-width": 2, "stroke-dasharray": "6,6"
+            }));
+            projectionGroup.appendChild(visuals.createSVGElement('line', {
+                id: 'tan-line', stroke: "#f59e0b", "stroke-width": 4
+            })); // Amber for Tangent
+        }
+        if (config.showSine) {
+            projectionGroup.appendChild(visuals.createSVGElement('line', {
+                id: 'sin-line', stroke: "#3b82f6", "stroke-width": 4
+            })); // Blue for Sine (Height)
+        }
+        if (config.showCosine) {
+            projectionGroup.appendChild(visuals.createSVGElement('line', {
+                id: 'cos-line', stroke: "#10b981", "stroke-width": 4
+            })); // Green for Cosine (Width)
+        }
+
+        if (config.showWave) renderWavePanel(visuals, config, layout);
+
+        // 3. The Draggable Handle (The Point on Circle), on top of the lines
+        const handleGroup = visuals.createSVGElement('g', {
+            class: 'draggable', id: 'trig-handle'
+        });
+        handleGroup.appendChild(visuals.createSVGElement('circle', {
+            r: 15, fill: "#ef4444", stroke: "white", "stroke-width": 3
+        }));
+        visuals.svg.appendChild(handleGroup);
+
+        // 4. Readouts
+        visuals.svg.appendChild(visuals.createSVGElement('g', { id: 'trig-info' }));
+
+        // Start at 0 degrees (Right)
+        setAngle(visuals, 0);
+    }
+};
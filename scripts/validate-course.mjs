@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * validate-course.mjs
+ * Lints course files before publishing, using the same validators the app runs at load time.
+ *
+ * Usage: node scripts/validate-course.mjs [file.json ...]
+ * With no arguments, checks data/catalog.json and every course file it lists.
+ * Widget modules named in a course's `widgets` list are loaded relative to the
+ * current directory (run it from the repo root, like the app resolves them from index.html).
+ * Exits with code 1 if any file has errors.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { validateCatalog, validateCourse, formatProblem } from '../assets/js/schema.js';
+import { loadWidgetModules } from '../assets/js/widgets/registry.js';
+import '../assets/js/widgets/index.js';
+
+const CATALOG = 'data/catalog.json';
+
+// Seeds per lesson with `params`: more than the app tries at load time, since this runs once before publishing
+const SAMPLES = 200;
+const checkCourse = (course) => validateCourse(course, { samples: SAMPLES });
+
+async function readJson(file) {
+    return JSON.parse(await readFile(file, 'utf8'));
+}
+
+let failed = false;
+
+// [file, validator] pairs to check
+const targets = process.argv.slice(2).map(file => [file, checkCourse]);
+if (targets.length === 0) {
+    targets.push([CATALOG, validateCatalog]);
+    try {
+        const catalog = await readJson(CATALOG);
+        for (const course of catalog.courses || []) {
+            if (typeof course.file === 'string') targets.push([course.file, validateCourse]);
+        }
+    } catch (error) {
+        // Reported below when the catalog itself is checked
+    }
+}
+
+for (const [file, validate] of targets) {
+    let data;
+    try {
+        data = await readJson(file);
+    } catch (error) {
+        console.error(`✗ ${file}: ${error.message}`);
+        failed = true;
+        continue;
+    }
+
+    if (validate === checkCourse && Array.isArray(data?.widgets)) {
+        try {
+            await loadWidgetModules(data.widgets, pathToFileURL(`${process.cwd()}/`));
+        } catch (error) {
+            console.error(`✗ ${file}: ${error.message}`);
+            failed = true;
+            continue;
+        }
+    }
+
+    const { valid, errors, warnings } = validate(data);
+
+    console.log(`${valid ? '✓' : '✗'} ${file}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+    for (const problem of errors) console.log(`  error    ${formatProblem(problem)}`);
+    for (const problem of warnings) console.log(`  warning  ${formatProblem(problem)}`);
+
+    if (!valid) failed = true;
+}
+
+process.exitCode = failed ? 1 : 0;